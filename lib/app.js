@@ -0,0 +1,140 @@
+// lib/app.js
+// Fábrica de la app: crea (o recibe) los clientes externos y los stores y
+// monta middlewares y rutas. No escucha en ningún puerto (ver index.js).
+
+const express = require("express");
+const cors = require("cors");
+const OpenAI = require("openai");
+const { recordHttpMetrics } = require("./metrics");
+const { assignRequestId, sendError, sendRouteError } = require("./errors");
+const { isAllowedOrigin, createProtection } = require("./protection");
+const {
+  createCloudinaryClient,
+  createCloudinaryHelpers
+} = require("./cloudinary");
+const { createShopifyClient } = require("./shopify");
+const {
+  INPAINT_PROVIDER,
+  createInpaintingProvider
+} = require("./inpainting");
+const {
+  CUTOUT_PROVIDER,
+  createSegmenter,
+  createCutoutService
+} = require("./cutout");
+const { SESSION_STORE, createSessionStore } = require("./sessions");
+const { CACHE_STORE, createCacheStore } = require("./cache");
+const {
+  USAGE_STORE,
+  createUsageStore,
+  createUsageLedger
+} = require("./usage");
+const { createPipeline } = require("./pipeline");
+const { registerExperienciaRoutes } = require("./routes/experiencia");
+const { registerReposicionRoutes } = require("./routes/reposicion");
+const { registerSessionRoutes } = require("./routes/sessions");
+const { registerAdminRoutes } = require("./routes/admin");
+const { registerHealthRoutes } = require("./routes/health");
+
+// Stores según SESSION_STORE / CACHE_STORE / USAGE_STORE
+function createStores() {
+  return {
+    sessions: createSessionStore(SESSION_STORE),
+    analysis: createCacheStore(CACHE_STORE, "analysis"),
+    results: createCacheStore(CACHE_STORE, "results"),
+    usage: createUsageStore(USAGE_STORE)
+  };
+}
+
+// Todo lo inyectable es opcional; lo que falte se crea desde el entorno.
+//   openai             -> { responses: { create } }
+//   cloudinary         -> SDK v2 ya configurado (uploader, url)
+//   shopify            -> createShopifyClient(...)
+//   inpaintingProvider -> createInpaintingProvider / createReplicateProvider
+//   segmenter          -> createSegmenter (recorte de producto)
+//   stores             -> { sessions, analysis, results, usage }
+function createApp({
+  openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY }),
+  cloudinary = createCloudinaryClient(),
+  shopify = createShopifyClient(),
+  inpaintingProvider = createInpaintingProvider(INPAINT_PROVIDER),
+  segmenter = createSegmenter(CUTOUT_PROVIDER),
+  stores = createStores()
+} = {}) {
+  const uploads = createCloudinaryHelpers(cloudinary);
+  const cutouts = createCutoutService({
+    cloudinary,
+    uploadBufferToCloudinaryAs: uploads.uploadBufferToCloudinaryAs,
+    segmenter
+  });
+  const ledger = createUsageLedger(stores.usage, {
+    shop: shopify.storeDomain
+  });
+  const protection = createProtection();
+  const pipeline = createPipeline({
+    openai,
+    shopify,
+    uploads,
+    inpaintingProvider,
+    cutouts,
+    stores,
+    ledger
+  });
+  const deps = {
+    protection,
+    pipeline,
+    shopify,
+    uploads,
+    inpaintingProvider,
+    cutouts,
+    stores,
+    ledger
+  };
+
+  const app = express();
+
+  // ================== MIDDLEWARE ==================
+
+  app.use(assignRequestId);
+  app.use(recordHttpMetrics);
+
+  // Detrás del proxy de Render: req.ip tiene que ser la IP real del cliente
+  app.set("trust proxy", Number(process.env.TRUST_PROXY || 1));
+  app.use(
+    cors({
+      origin: (origin, callback) =>
+        callback(null, !origin || isAllowedOrigin(origin))
+    })
+  );
+  app.use(express.json());
+
+  // Raíz (readiness y liveness en /health)
+  app.get("/", (req, res) => {
+    res.send("INNOTIVA BACKEND PRO funcionando ✅");
+  });
+
+  registerExperienciaRoutes(app, deps);
+  registerReposicionRoutes(app, deps);
+  registerSessionRoutes(app, deps);
+  registerAdminRoutes(app, deps);
+  registerHealthRoutes(app, deps);
+
+  // ================== 404 Y ERRORES NO CAPTURADOS ==================
+
+  app.use((req, res) => sendError(res, "NOT_FOUND"));
+
+  // JSON mal formado / demasiado grande (express.json) y cualquier next(err)
+  app.use((err, req, res, next) => {
+    if (err.type === "entity.parse.failed") {
+      return sendError(res, "INVALID_JSON");
+    }
+    if (err.type === "entity.too.large") {
+      return sendError(res, "PAYLOAD_TOO_LARGE");
+    }
+    return sendRouteError(res, `Error no capturado en ${req.path}`, err);
+  });
+
+  return app;
+}
+
+module.exports = { createApp, createStores };
@@ -0,0 +1,30 @@
+// lib/bundles.js
+
+const { safeParseJSON } = require("./helpers");
+
+// ================== BUNDLES ("COMPLETE THE LOOK") ==================
+//
+// productIds puede llegar como array (campos repetidos del form), como JSON
+// ("[1,2]") o separado por comas ("1,2"). El primero es el producto
+// principal; si no hay productIds se usa el productId de siempre.
+
+const MAX_BUNDLE_PRODUCTS = Number(process.env.MAX_BUNDLE_PRODUCTS || 4);
+
+function parseProductIds(body) {
+  let raw = body.productIds;
+
+  if (typeof raw === "string") {
+    const parsed = raw.trim().startsWith("[") ? safeParseJSON(raw) : null;
+    raw = Array.isArray(parsed) ? parsed : raw.split(",");
+  }
+
+  const ids = (Array.isArray(raw) ? raw : [])
+    .map((id) => String(id).trim())
+    .filter(Boolean);
+
+  if (!ids.length && body.productId) ids.push(String(body.productId).trim());
+
+  return [...new Set(ids)];
+}
+
+module.exports = { MAX_BUNDLE_PRODUCTS, parseProductIds };
@@ -0,0 +1,177 @@
+// lib/cache.js
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { metrics } = require("./metrics");
+const { progressBus, progressHistory, emitProgress } = require("./progress");
+const { SESSION_STORE } = require("./sessions");
+const { parseProductIds } = require("./bundles");
+const { parseRequestDimensions } = require("./placement");
+const { parseVariantCount } = require("./variants");
+
+// ================== CACHÉ DE GENERACIONES ==================
+//
+// Direccionada por contenido: hash del buffer del cuarto + producto(s) +
+// idea + versión del pipeline. Dos niveles:
+//   - análisis: cuarto ya subido + respuesta de Vision (se salta upload y GPT)
+//   - resultado: la respuesta final completa y la sesión recién generada
+//     (se salta todo, incluido FLUX)
+// Las peticiones idénticas en vuelo comparten una sola ejecución. En ambos
+// casos el pipeline copia la sesión bajo el sessionId de quien pide.
+// nocache=1 fuerza regenerar (y refresca la caché).
+//
+
+// Subirla invalida todo lo cacheado (cambios de prompt, máscara, modelo...)
+const PIPELINE_VERSION = "v21.4";
+const CACHE_STORE = process.env.CACHE_STORE || SESSION_STORE;
+const CACHE_DIR =
+  process.env.CACHE_DIR || path.join(__dirname, "..", "data", "cache");
+const GENERATION_CACHE_TTL_MS = Number(
+  process.env.GENERATION_CACHE_TTL_MS || 7 * 24 * 60 * 60 * 1000
+);
+
+// Campos del body que cambian la imagen final (además de los de la clave
+// de análisis)
+const RESULT_CACHE_FIELDS = [
+  "productName",
+  "productUrl",
+  "variantPlacements",
+  "maskShape",
+  "maskFeather",
+  "maskSilhouette",
+  "debug"
+];
+
+function isExpiredCacheEntry(entry) {
+  return Date.now() - Date.parse(entry.created_at) > GENERATION_CACHE_TTL_MS;
+}
+
+function createMemoryCacheStore() {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry || isExpiredCacheEntry(entry)) return null;
+      return JSON.parse(JSON.stringify(entry.value));
+    },
+    async set(key, value) {
+      entries.set(key, {
+        created_at: new Date().toISOString(),
+        value: JSON.parse(JSON.stringify(value))
+      });
+    }
+  };
+}
+
+function createFileCacheStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = (key) => path.join(dir, `${key}.json`);
+
+  return {
+    async get(key) {
+      if (!/^[a-f0-9]{64}$/.test(key)) return null;
+      try {
+        const entry = JSON.parse(
+          await fs.promises.readFile(filePath(key), "utf8")
+        );
+        return isExpiredCacheEntry(entry) ? null : entry.value;
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async set(key, value) {
+      const entry = { created_at: new Date().toISOString(), value };
+      const tmp = `${filePath(key)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(entry));
+      await fs.promises.rename(tmp, filePath(key));
+    }
+  };
+}
+
+function createCacheStore(name, subdir) {
+  switch (name) {
+    case "memory":
+      return createMemoryCacheStore();
+    case "file":
+      return createFileCacheStore(path.join(CACHE_DIR, subdir));
+    default:
+      throw new Error(`CACHE_STORE desconocido: ${name}`);
+  }
+}
+
+// Compartido por todas las apps del proceso (como el bus de progreso)
+// resultKey -> { promise, sessionId, progressId }
+const inflightGenerations = new Map();
+
+metrics.gauge(
+  "innotiva_inflight_generations",
+  "Generaciones en curso (claves de caché únicas).",
+  () => [{ value: inflightGenerations.size }]
+);
+
+function hashBuffer(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+function cacheKey(parts) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([PIPELINE_VERSION, ...parts]))
+    .digest("hex");
+}
+
+function analysisCacheKey(roomHash, body) {
+  return cacheKey([
+    "analysis",
+    roomHash,
+    parseProductIds(body),
+    body.variantId || null,
+    (body.idea || "").trim(),
+    body.productCutoutUrl || null,
+    parseRequestDimensions(body)
+  ]);
+}
+
+function resultCacheKey(roomHash, body) {
+  return cacheKey([
+    "result",
+    analysisCacheKey(roomHash, body),
+    parseVariantCount(body),
+    ...RESULT_CACHE_FIELDS.map((field) => body[field] ?? null)
+  ]);
+}
+
+function isCacheBypass(body) {
+  return body.nocache === "1" || body.nocache === "true";
+}
+
+// Reenvía el progreso de la ejecución compartida al canal del cliente que
+// se sumó (para que su SSE también avance)
+function relayProgress(fromProgressId, toProgressId) {
+  if (!fromProgressId || fromProgressId === toProgressId) return () => {};
+
+  const relay = ({ sessionId, at, ...event }) => {
+    const { step, ...data } = event;
+    emitProgress(toProgressId, step, { ...data, shared_with: sessionId });
+  };
+  for (const event of progressHistory.get(fromProgressId) || []) relay(event);
+
+  progressBus.on(fromProgressId, relay);
+  return () => progressBus.off(fromProgressId, relay);
+}
+
+module.exports = {
+  PIPELINE_VERSION,
+  CACHE_STORE,
+  CACHE_DIR,
+  createCacheStore,
+  inflightGenerations,
+  hashBuffer,
+  analysisCacheKey,
+  resultCacheKey,
+  isCacheBypass,
+  relayProgress
+};
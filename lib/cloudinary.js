@@ -0,0 +1,139 @@
+// lib/cloudinary.js
+
+const cloudinarySdk = require("cloudinary").v2;
+const { AppError } = require("./errors");
+const { recordUsage } = require("./usage");
+
+// ================== CLOUDINARY HELPERS ==================
+//
+// Los helpers se crean sobre un cliente inyectable: el SDK configurado con
+// las credenciales del entorno (createCloudinaryClient) o, en los tests,
+// uno que apunta a un servidor local (upload_prefix).
+//
+
+// Cliente por defecto: el SDK con las credenciales del entorno
+function createCloudinaryClient() {
+  cloudinarySdk.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+  });
+  return cloudinarySdk;
+}
+
+function createCloudinaryHelpers(cloudinary) {
+  async function uploadBufferToCloudinary(
+    buffer,
+    folder,
+    filenameHint = "image"
+  ) {
+    return new Promise((resolve, reject) => {
+      const base64 = buffer.toString("base64");
+      cloudinary.uploader.upload(
+        `data:image/jpeg;base64,${base64}`,
+        {
+          folder,
+          public_id: `${filenameHint}-${Date.now()}`
+        },
+        (err, result) => {
+          if (err) return reject(cloudinaryError(err));
+          recordCloudinaryUsage(result);
+          resolve(result);
+        }
+      );
+    });
+  }
+
+  async function uploadUrlToCloudinary(
+    url,
+    folder,
+    filenameHint = "image-from-url"
+  ) {
+    return new Promise((resolve, reject) => {
+      cloudinary.uploader.upload(
+        url,
+        {
+          folder,
+          public_id: `${filenameHint}-${Date.now()}`
+        },
+        (err, result) => {
+          if (err) return reject(cloudinaryError(err));
+          recordCloudinaryUsage(result);
+          resolve(result);
+        }
+      );
+    });
+  }
+
+  // Sube con un public_id fijo (sobrescribe): para cachés deterministas
+  async function uploadBufferToCloudinaryAs(
+    buffer,
+    publicId,
+    format = "png"
+  ) {
+    return new Promise((resolve, reject) => {
+      cloudinary.uploader.upload(
+        `data:image/${format};base64,${buffer.toString("base64")}`,
+        {
+          public_id: publicId,
+          format,
+          overwrite: true,
+          invalidate: true
+        },
+        (err, result) => {
+          if (err) return reject(cloudinaryError(err));
+          recordCloudinaryUsage(result);
+          resolve(result);
+        }
+      );
+    });
+  }
+
+  function buildThumbnails(publicId) {
+    const low = cloudinary.url(publicId, {
+      secure: true,
+      width: 400,
+      height: 400,
+      crop: "fill",
+      quality: 70
+    });
+    const medium = cloudinary.url(publicId, {
+      secure: true,
+      width: 1080,
+      height: 1080,
+      crop: "fill",
+      quality: 80
+    });
+
+    return { low, medium };
+  }
+
+  return {
+    uploadBufferToCloudinary,
+    uploadUrlToCloudinary,
+    uploadBufferToCloudinaryAs,
+    buildThumbnails
+  };
+}
+
+// Cloudinary rechaza con { message, http_code } (499 = timeout)
+function cloudinaryError(err) {
+  return new AppError(
+    err && err.http_code === 499 ? "UPSTREAM_TIMEOUT" : "IMAGE_UPLOAD_FAILED",
+    `Cloudinary: ${(err && err.message) || err}`,
+    { upstream: "cloudinary", httpCode: err && err.http_code }
+  );
+}
+
+function recordCloudinaryUsage(result) {
+  recordUsage((entry) => {
+    entry.cloudinary.uploads++;
+    entry.cloudinary.bytes += Number(result && result.bytes) || 0;
+  });
+}
+
+module.exports = {
+  createCloudinaryClient,
+  createCloudinaryHelpers,
+  cloudinaryError
+};
@@ -0,0 +1,301 @@
+// lib/compose.js
+
+const sharp = require("sharp");
+const { logStep } = require("./logging");
+const { fetchImageBuffer } = require("./images");
+
+// ============ COMPOSICIÓN REAL: CUARTO + PRODUCTO PNG ============
+//
+// El producto se encaja DENTRO de la caja (ancho y alto), centrado y
+// apoyado en su borde inferior. Antes de pegarlo se acerca su tono al del
+// entorno y se dibuja una sombra suave según analysis.lightDirection.
+//
+
+const COMPOSITE_TONE_STRENGTH = 0.35; // 0 = sin ajuste, 1 = igualar al cuarto
+const COMPOSITE_SHADOW_OPACITY = 0.45;
+
+// Producto redimensionado y ubicado tal como se compone; la máscara de
+// silueta usa exactamente este mismo cálculo.
+async function placeProductLayer(productBuffer, placement) {
+  const { x, y, width, height } = placement;
+
+  const { data: buffer, info } = await sharp(productBuffer)
+    .ensureAlpha()
+    .resize({
+      width: Math.max(8, Math.round(width)),
+      height: Math.max(8, Math.round(height || width)),
+      fit: "inside"
+    })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  // Centrado en horizontal y anclado a la base de la caja
+  const left = Math.round(x + (width - info.width) / 2);
+  const top = Math.round(y + (height || info.height) - info.height);
+
+  return {
+    buffer,
+    width: info.width,
+    height: info.height,
+    left: Math.max(0, left),
+    top: Math.max(0, top)
+  };
+}
+
+// Recorta una capa { input, left, top } al lienzo width×height: sharp
+// rechaza en composite una capa más grande que la base o que se sale de
+// ella. null si la capa queda entera fuera.
+async function clipLayerToCanvas(layer, width, height) {
+  const meta = await sharp(layer.input).metadata();
+  const left = Math.max(0, layer.left);
+  const top = Math.max(0, layer.top);
+  const right = Math.min(width, layer.left + meta.width);
+  const bottom = Math.min(height, layer.top + meta.height);
+
+  if (right <= left || bottom <= top) return null;
+  if (
+    left === layer.left &&
+    top === layer.top &&
+    right - left === meta.width &&
+    bottom - top === meta.height
+  ) {
+    return layer;
+  }
+
+  const input = await sharp(layer.input)
+    .extract({
+      left: left - layer.left,
+      top: top - layer.top,
+      width: right - left,
+      height: bottom - top
+    })
+    .png()
+    .toBuffer();
+  return { ...layer, input, left, top };
+}
+
+// Capas recortadas al lienzo, sin las que quedan fuera
+async function clipLayersToCanvas(layers, width, height) {
+  const clipped = await Promise.all(
+    layers.map((layer) => clipLayerToCanvas(layer, width, height))
+  );
+  return clipped.filter(Boolean);
+}
+
+// Promedio RGB de los píxeles opacos del producto (ya redimensionado)
+async function averageOpaqueColor(layerBuffer) {
+  const { data } = await sharp(layerBuffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let weight = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const a = data[i + 3] / 255;
+    r += data[i] * a;
+    g += data[i + 1] * a;
+    b += data[i + 2] * a;
+    weight += a;
+  }
+
+  if (weight === 0) return null;
+  return { r: r / weight, g: g / weight, b: b / weight };
+}
+
+// Tono del cuarto alrededor de la caja (el doble de su tamaño)
+async function averageRoomColor(roomBuffer, placement, roomWidth, roomHeight) {
+  const left = Math.max(0, Math.round(placement.x - placement.width / 2));
+  const top = Math.max(0, Math.round(placement.y - placement.height / 2));
+  const region = {
+    left,
+    top,
+    width: Math.max(1, Math.min(roomWidth - left, placement.width * 2)),
+    height: Math.max(1, Math.min(roomHeight - top, placement.height * 2))
+  };
+
+  const { channels } = await sharp(roomBuffer)
+    .extract({
+      left: region.left,
+      top: region.top,
+      width: Math.round(region.width),
+      height: Math.round(region.height)
+    })
+    .stats();
+
+  return { r: channels[0].mean, g: channels[1].mean, b: channels[2].mean };
+}
+
+// Balance de blancos + brillo hacia el cuarto, suavizado y acotado
+async function matchProductTone(layerBuffer, roomColor) {
+  const productColor = await averageOpaqueColor(layerBuffer);
+  if (!productColor || !roomColor) return layerBuffer;
+
+  const lum = (c) => (c.r + c.g + c.b) / 3 || 1;
+  const roomLum = lum(roomColor);
+  const productLum = lum(productColor);
+
+  const clampedLum = Math.min(1.15, Math.max(0.85, roomLum / productLum));
+  const brightness = 1 + 0.5 * (clampedLum - 1);
+
+  const multipliers = ["r", "g", "b"].map((ch) => {
+    const roomRatio = roomColor[ch] / roomLum;
+    const productRatio = productColor[ch] / productLum || 1;
+    const gain = 1 + COMPOSITE_TONE_STRENGTH * (roomRatio / productRatio - 1);
+    return Math.min(1.25, Math.max(0.75, gain * brightness));
+  });
+
+  return sharp(layerBuffer)
+    .linear([...multipliers, 1], [0, 0, 0, 0])
+    .png()
+    .toBuffer();
+}
+
+// Sombra suave: elipse de contacto en la base (objetos apoyados) o sombra
+// proyectada del contorno (cuadros), desplazada en contra de la luz.
+async function buildProductShadow(layer, lightDirection, kind = "contact") {
+  if (kind === "none") return null;
+
+  const offsetSign =
+    lightDirection === "izquierda" ? 1 : lightDirection === "derecha" ? -1 : 0;
+  const softness = lightDirection === "mixta" ? 1.6 : 1;
+
+  if (kind === "drop") {
+    const blur = Math.max(1, Math.round(layer.width * 0.02 * softness));
+    const pad = blur * 3;
+    const alpha = await sharp(layer.buffer)
+      .extend({
+        top: pad,
+        bottom: pad,
+        left: pad,
+        right: pad,
+        background: { r: 0, g: 0, b: 0, alpha: 0 }
+      })
+      .png()
+      .toBuffer();
+    const shadowAlpha = await sharp(alpha)
+      .extractChannel(3)
+      .blur(blur)
+      .linear(COMPOSITE_SHADOW_OPACITY * 0.7, 0)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = shadowAlpha.info;
+    const input = await sharp({
+      create: { width, height, channels: 3, background: "#000" }
+    })
+      .joinChannel(shadowAlpha.data, { raw: { width, height, channels: 1 } })
+      .png()
+      .toBuffer();
+
+    return {
+      input,
+      left: Math.round(layer.left - pad + offsetSign * blur * 1.5),
+      top: Math.round(layer.top - pad + blur)
+    };
+  }
+
+  const width = Math.max(4, Math.round(layer.width * 0.9));
+  const height = Math.max(4, Math.round(layer.height * 0.08));
+  const blur = Math.max(1, Math.round(height * 0.4 * softness));
+  const pad = blur * 3;
+  const opacity = COMPOSITE_SHADOW_OPACITY;
+
+  const svg = Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width + pad * 2}" height="${height + pad * 2}">` +
+      `<ellipse cx="${pad + width / 2}" cy="${pad + height / 2}" rx="${width / 2}" ry="${height / 2}" fill="#000" fill-opacity="${opacity}"/>` +
+      "</svg>"
+  );
+  const input = await sharp(svg).blur(blur).png().toBuffer();
+
+  return {
+    input,
+    left: Math.round(
+      layer.left +
+        (layer.width - width) / 2 -
+        pad +
+        offsetSign * layer.width * 0.12
+    ),
+    top: Math.round(layer.top + layer.height - height / 2 - pad)
+  };
+}
+
+// items: [{ productBuffer | productImageUrl, placement, shadow }]
+// (uno por producto; los bundles componen varias piezas en una sola imagen)
+// cloudinaryHelpers: los de createCloudinaryHelpers (se usa la subida)
+async function composeProductOnRoom(
+  { uploadBufferToCloudinary },
+  { roomImageUrl, items, roomWidth, roomHeight, lightDirection = "izquierda" }
+) {
+  logStep("Componiendo producto PNG dentro del cuarto (base IA)", {
+    roomImageUrl,
+    products: items.length
+  });
+
+  // El placement viene en el tamaño real de trabajo: el cuarto debe coincidir
+  let roomImage = sharp(await fetchImageBuffer(roomImageUrl)).rotate();
+  if (roomWidth && roomHeight) {
+    roomImage = roomImage.resize(roomWidth, roomHeight, { fit: "fill" });
+  }
+  const { data: roomBuffer, info: roomInfo } = await roomImage.toBuffer({
+    resolveWithObject: true
+  });
+
+  const shadows = [];
+  const products = [];
+
+  for (const item of items) {
+    const productBuffer =
+      item.productBuffer || (await fetchImageBuffer(item.productImageUrl));
+    const layer = await placeProductLayer(productBuffer, item.placement);
+
+    const roomColor = await averageRoomColor(
+      roomBuffer,
+      item.placement,
+      roomInfo.width,
+      roomInfo.height
+    ).catch(() => null);
+    const tonedProduct = await matchProductTone(layer.buffer, roomColor);
+    const shadowLayer = await buildProductShadow(
+      layer,
+      lightDirection,
+      item.shadow
+    );
+
+    if (shadowLayer) shadows.push(shadowLayer);
+    products.push({ input: tonedProduct, top: layer.top, left: layer.left });
+  }
+
+  // Componer sobre el cuarto: sombras primero, productos encima. Una
+  // sombra (o una pieza) junto al borde puede salirse del cuarto
+  const layers = await clipLayersToCanvas(
+    [...shadows, ...products],
+    roomInfo.width,
+    roomInfo.height
+  );
+  const composedBuffer = await sharp(roomBuffer)
+    .composite(layers)
+    .jpeg({ quality: 96 })
+    .toBuffer();
+
+  const upload = await uploadBufferToCloudinary(
+    composedBuffer,
+    "innotiva/composed",
+    "room-plus-product"
+  );
+
+  logStep("Composición subida a Cloudinary", { url: upload.secure_url });
+  return upload.secure_url;
+}
+
+module.exports = {
+  placeProductLayer,
+  clipLayerToCanvas,
+  clipLayersToCanvas,
+  averageRoomColor,
+  matchProductTone,
+  buildProductShadow,
+  composeProductOnRoom
+};
@@ -0,0 +1,12 @@
+// lib/context.js
+// Contexto asíncrono por petición (AsyncLocalStorage)
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+// { requestId, req }: lo fija el middleware de request ID (errors.js)
+const requestContext = new AsyncLocalStorage();
+
+// Entrada activa del ledger de uso (usage.js)
+const usageContext = new AsyncLocalStorage();
+
+module.exports = { requestContext, usageContext };
@@ -0,0 +1,256 @@
+// lib/cutout.js
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { logStep } = require("./logging");
+const { timeStage } = require("./metrics");
+const { fetch } = require("./helpers");
+const { fetchImageBuffer } = require("./images");
+const {
+  INPAINT_START_RETRIES,
+  INPAINT_POLL_RETRIES,
+  REPLICATE_API_URL,
+  fetchJsonWithRetry,
+  waitForPredictionWith,
+  recordPredictionUsage
+} = require("./inpainting");
+
+// ================== RECORTE DE PRODUCTO (CUTOUT) ==================
+//
+// La foto de Shopify suele venir con fondo blanco de estudio. Generamos un
+// PNG transparente por producto con un segmentador intercambiable
+// (CUTOUT_PROVIDER=local|replicate) y lo cacheamos en Cloudinary con un
+// public_id determinista: producto + hash de la URL de la imagen. Así cada
+// producto se procesa una sola vez.
+//
+
+const CUTOUT_PROVIDER = process.env.CUTOUT_PROVIDER || "local";
+const CUTOUT_FOLDER = "innotiva/cutouts";
+const CUTOUT_BG_TOLERANCE = Number(process.env.CUTOUT_BG_TOLERANCE) || 28;
+
+// Color de fondo = mediana de los píxeles del borde
+async function estimateBackgroundColor(image, width, height) {
+  const border = Math.max(1, Math.round(Math.min(width, height) * 0.02));
+  const strips = [
+    { left: 0, top: 0, width, height: border },
+    { left: 0, top: height - border, width, height: border },
+    { left: 0, top: 0, width: border, height },
+    { left: width - border, top: 0, width: border, height }
+  ];
+
+  const samples = [[], [], []];
+  for (const region of strips) {
+    const data = await image.clone().extract(region).raw().toBuffer();
+    for (let i = 0; i < data.length; i += 3) {
+      samples[0].push(data[i]);
+      samples[1].push(data[i + 1]);
+      samples[2].push(data[i + 2]);
+    }
+  }
+
+  const median = (values) => values.sort((a, b) => a - b)[values.length >> 1];
+  return {
+    r: median(samples[0]),
+    g: median(samples[1]),
+    b: median(samples[2])
+  };
+}
+
+// Fallback local: quita fondos casi uniformes (estudio blanco/gris).
+// Diferencia contra el color de fondo -> umbral -> borde suave como alfa.
+async function removeUniformBackground(buffer) {
+  const rgb = sharp(buffer).rotate().removeAlpha();
+  const { data: flat, info } = await rgb
+    .clone()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const flatImage = () => sharp(flat, { raw: { width, height, channels: 3 } });
+
+  const background = await estimateBackgroundColor(flatImage(), width, height);
+
+  const solid = await sharp({
+    create: { width, height, channels: 3, background }
+  })
+    .png()
+    .toBuffer();
+
+  // composite corre al final del pipeline: la diferencia va en su propio paso
+  const difference = await flatImage()
+    .composite([{ input: solid, blend: "difference" }])
+    .png()
+    .toBuffer();
+
+  const alpha = await sharp(difference)
+    .greyscale()
+    .threshold(CUTOUT_BG_TOLERANCE)
+    .blur(1)
+    .raw()
+    .toBuffer();
+
+  const cutout = await flatImage()
+    .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+    .png()
+    .toBuffer();
+
+  // trim va en otro pipeline: sharp lo aplica antes que joinChannel
+  return sharp(cutout).trim().png().toBuffer();
+}
+
+function createLocalSegmenter() {
+  return {
+    name: "local",
+    async removeBackground(imageUrl) {
+      return removeUniformBackground(await fetchImageBuffer(imageUrl));
+    }
+  };
+}
+
+// Segmentador en Replicate (modelo de remove-bg por versión)
+function createReplicateSegmenter({
+  apiToken,
+  version,
+  baseUrl = REPLICATE_API_URL
+}) {
+  if (!version) {
+    throw new Error(
+      "CUTOUT_PROVIDER=replicate requiere REPLICATE_CUTOUT_VERSION"
+    );
+  }
+
+  const headers = {
+    Authorization: `Bearer ${apiToken}`,
+    "Content-Type": "application/json"
+  };
+  const predictions = {
+    async getPrediction(id) {
+      const { json } = await fetchJsonWithRetry(
+        `${baseUrl}/v1/predictions/${id}`,
+        { headers },
+        { retries: INPAINT_POLL_RETRIES }
+      );
+      return json;
+    }
+  };
+
+  return {
+    name: "replicate",
+    async removeBackground(imageUrl) {
+      const { json: started } = await fetchJsonWithRetry(
+        `${baseUrl}/v1/predictions`,
+        {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ version, input: { image: imageUrl } })
+        },
+        // Como en inpainting: el POST crea una predicción facturada
+        { retries: INPAINT_START_RETRIES, onlyRateLimited: true }
+      );
+      if (!started.id) {
+        throw new Error("No se pudo iniciar el recorte en Replicate");
+      }
+
+      const prediction = await waitForPredictionWith(predictions, started.id, {
+        pollIntervalMs: 1000
+      });
+      recordPredictionUsage(prediction);
+      const output = Array.isArray(prediction.output)
+        ? prediction.output[0]
+        : prediction.output;
+      if (prediction.status !== "succeeded" || !output) {
+        throw new Error(`El recorte en Replicate falló (${prediction.status})`);
+      }
+      return fetchImageBuffer(output);
+    }
+  };
+}
+
+function createSegmenter(name) {
+  switch (name) {
+    case "local":
+      return createLocalSegmenter();
+    case "replicate":
+      return createReplicateSegmenter({
+        apiToken: process.env.REPLICATE_API_TOKEN,
+        version: process.env.REPLICATE_CUTOUT_VERSION
+      });
+    default:
+      throw new Error(`CUTOUT_PROVIDER desconocido: ${name}`);
+  }
+}
+
+function cutoutPublicId(productId, imageUrl) {
+  const numericId = String(productId).split("/").pop();
+  const hash = crypto
+    .createHash("sha1")
+    .update(imageUrl)
+    .digest("hex")
+    .slice(0, 12);
+  return `${CUTOUT_FOLDER}/${numericId}-${hash}`;
+}
+
+// Un servicio por app: la caché en memoria vive con sus clientes
+function createCutoutService({
+  cloudinary,
+  uploadBufferToCloudinaryAs,
+  segmenter
+}) {
+  const cutoutCache = new Map(); // publicId -> secure_url
+
+  async function cutoutExists(publicId) {
+    const url = cloudinary.url(publicId, { secure: true, format: "png" });
+    try {
+      const res = await fetch(url, { method: "HEAD" });
+      return res.ok ? url : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // force: regenera aunque exista; overrideUrl: usa esa imagen como recorte
+  async function getProductCutout({
+    productId,
+    imageUrl,
+    force,
+    overrideUrl
+  }) {
+    const publicId = cutoutPublicId(productId, imageUrl);
+
+    if (!force && !overrideUrl) {
+      const cached =
+        cutoutCache.get(publicId) || (await cutoutExists(publicId));
+      if (cached) {
+        cutoutCache.set(publicId, cached);
+        return { url: cached, publicId, cached: true };
+      }
+    }
+
+    logStep("Generando recorte de producto", {
+      productId,
+      segmenter: overrideUrl ? "override" : segmenter.name
+    });
+
+    const buffer = overrideUrl
+      ? await sharp(await fetchImageBuffer(overrideUrl)).png().toBuffer()
+      : await segmenter.removeBackground(imageUrl);
+
+    const upload = await timeStage("cloudinary_upload", () =>
+      uploadBufferToCloudinaryAs(buffer, publicId, "png")
+    );
+    cutoutCache.set(publicId, upload.secure_url);
+
+    return { url: upload.secure_url, publicId, cached: false };
+  }
+
+  return { segmenter, getProductCutout };
+}
+
+module.exports = {
+  CUTOUT_PROVIDER,
+  removeUniformBackground,
+  createLocalSegmenter,
+  createReplicateSegmenter,
+  createSegmenter,
+  cutoutPublicId,
+  createCutoutService
+};
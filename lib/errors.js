@@ -0,0 +1,252 @@
+// lib/errors.js
+
+const crypto = require("crypto");
+const OpenAI = require("openai");
+const { requestContext } = require("./context");
+const { logError } = require("./logging");
+const { httpErrors } = require("./metrics");
+
+// ================== ERRORES Y REQUEST ID ==================
+//
+// Todas las rutas responden los errores con el mismo sobre:
+//   { status: "error", code, message, request_id, ...detalles }
+// code es estable (el theme decide qué hacer con él) y message va en el
+// idioma del cliente: ?lang=, body.lang o Accept-Language (es por defecto).
+//
+// Cada petición lleva un X-Request-Id (el del proxy si es válido) que se
+// devuelve en la cabecera y en el sobre, y que acompaña a sus logs.
+//
+
+const SUPPORTED_LOCALES = ["es", "en"];
+
+const ERROR_CATALOG = {
+  INVALID_INPUT: {
+    httpStatus: 400,
+    es: "Revisa los datos enviados.",
+    en: "Please check the data you sent."
+  },
+  INVALID_JSON: {
+    httpStatus: 400,
+    es: "La petición no es un JSON válido.",
+    en: "The request body is not valid JSON."
+  },
+  INVALID_VARIANT: {
+    httpStatus: 400,
+    es: "La variante no pertenece a este producto.",
+    en: "That variant does not belong to this product."
+  },
+  UNAUTHORIZED: {
+    httpStatus: 401,
+    es: "No autorizado.",
+    en: "Unauthorized."
+  },
+  INVALID_THEME_TOKEN: {
+    httpStatus: 401,
+    es: "Tu sesión en la tienda caducó. Recarga la página y vuelve a intentarlo.",
+    en: "Your store session expired. Reload the page and try again."
+  },
+  ORIGIN_NOT_ALLOWED: {
+    httpStatus: 403,
+    es: "Esta tienda no tiene acceso al probador.",
+    en: "This store does not have access to the room designer."
+  },
+  NOT_FOUND: {
+    httpStatus: 404,
+    es: "No encontramos lo que buscas.",
+    en: "We could not find what you are looking for."
+  },
+  SESSION_NOT_FOUND: {
+    httpStatus: 404,
+    es: "No encontramos esa sesión.",
+    en: "We could not find that session."
+  },
+  VERSION_NOT_FOUND: {
+    httpStatus: 404,
+    es: "No encontramos esa versión en la sesión.",
+    en: "We could not find that version in the session."
+  },
+  JOB_NOT_FOUND: {
+    httpStatus: 404,
+    es: "No encontramos ese trabajo.",
+    en: "We could not find that job."
+  },
+  PRODUCT_NOT_FOUND: {
+    httpStatus: 404,
+    es: "No encontramos este producto en la tienda.",
+    en: "We could not find this product in the store."
+  },
+  PAYLOAD_TOO_LARGE: {
+    httpStatus: 413,
+    es: "La petición es demasiado grande.",
+    en: "The request is too large."
+  },
+  PRODUCT_NO_IMAGE: {
+    httpStatus: 422,
+    es: "Este producto no tiene foto para colocarlo en tu espacio.",
+    en: "This product has no photo we can place in your room."
+  },
+  PRODUCT_UNAVAILABLE: {
+    httpStatus: 422,
+    es: "Este producto no tiene variantes disponibles para comprar.",
+    en: "This product has no variants available for purchase."
+  },
+  RATE_LIMITED: {
+    httpStatus: 429,
+    es: "Vas muy rápido 😅 Espera unos segundos y vuelve a intentarlo.",
+    en: "You are going too fast 😅 Wait a few seconds and try again."
+  },
+  DAILY_QUOTA_EXCEEDED: {
+    httpStatus: 429,
+    es: "Has alcanzado el límite de diseños por hoy. Vuelve mañana para seguir creando ✨",
+    en: "You have reached today's design limit. Come back tomorrow to keep creating ✨"
+  },
+  REQUEST_ABORTED: {
+    httpStatus: 499,
+    es: "La solicitud se canceló.",
+    en: "The request was canceled."
+  },
+  INTERNAL_ERROR: {
+    httpStatus: 500,
+    es: "Tuvimos un problema al generar tu propuesta. Intenta otra vez en unos segundos.",
+    en: "We had a problem creating your design. Please try again in a few seconds."
+  },
+  UPSTREAM_UNAVAILABLE: {
+    httpStatus: 502,
+    es: "Uno de nuestros servicios no responde. Intenta otra vez en unos segundos.",
+    en: "One of our services is not responding. Please try again in a few seconds."
+  },
+  IMAGE_UPLOAD_FAILED: {
+    httpStatus: 502,
+    es: "No pudimos guardar la imagen. Intenta otra vez en unos segundos.",
+    en: "We could not store the image. Please try again in a few seconds."
+  },
+  GENERATION_FAILED: {
+    httpStatus: 502,
+    es: "La IA no pudo generar tu propuesta esta vez. Intenta otra vez en unos segundos.",
+    en: "The AI could not create your design this time. Please try again in a few seconds."
+  },
+  CHECKOUT_FAILED: {
+    httpStatus: 502,
+    es: "No pudimos preparar tu carrito. Intenta otra vez.",
+    en: "We could not prepare your cart. Please try again."
+  },
+  UPSTREAM_TIMEOUT: {
+    httpStatus: 504,
+    es: "La generación está tardando más de lo normal. Intenta otra vez en unos minutos.",
+    en: "This is taking longer than usual. Please try again in a few minutes."
+  }
+};
+
+// Error con código del catálogo. message es para los logs; al cliente le
+// llega el mensaje localizado del catálogo.
+class AppError extends Error {
+  constructor(code, message, extra = {}) {
+    super(message || code);
+    this.name = "AppError";
+    this.code = code;
+    Object.assign(this, extra);
+  }
+}
+
+// Errores del proveedor de inpainting (inpainting.js): código interno
+class InpaintingError extends Error {
+  constructor(code, message, extra = {}) {
+    super(message);
+    this.name = "InpaintingError";
+    this.code = code;
+    Object.assign(this, extra);
+  }
+}
+
+// Código interno del proveedor -> código público (ERROR_CATALOG)
+const INPAINTING_ERROR_CODES = {
+  INPAINT_START_FAILED: "UPSTREAM_UNAVAILABLE",
+  INPAINT_TIMEOUT: "UPSTREAM_TIMEOUT",
+  INPAINT_CANCELED: "GENERATION_FAILED",
+  INPAINT_FAILED: "GENERATION_FAILED",
+  INPAINT_ABORTED: "REQUEST_ABORTED"
+};
+
+function requestLocale(req) {
+  const requested =
+    (req && ((req.query && req.query.lang) || (req.body && req.body.lang))) ||
+    (req && req.acceptsLanguages(...SUPPORTED_LOCALES)) ||
+    "";
+  const locale = String(requested).slice(0, 2).toLowerCase();
+  return SUPPORTED_LOCALES.includes(locale) ? locale : "es";
+}
+
+// Sin req (jobs, SSE) se usa el idioma de la petición que los originó
+function errorMessage(code, locale) {
+  const store = requestContext.getStore();
+  const entry = ERROR_CATALOG[code] || ERROR_CATALOG.INTERNAL_ERROR;
+  return entry[locale || (store ? requestLocale(store.req) : "es")];
+}
+
+function currentRequestId() {
+  const store = requestContext.getStore();
+  return store ? store.requestId : null;
+}
+
+function sendError(res, code, details = {}) {
+  const req = res.req;
+  const entry = ERROR_CATALOG[code] || ERROR_CATALOG.INTERNAL_ERROR;
+  const { message, ...rest } = details;
+  httpErrors.inc({ code });
+  return res.status(entry.httpStatus).json({
+    status: "error",
+    code,
+    message: message || errorMessage(code, requestLocale(req)),
+    request_id: req.id,
+    ...rest
+  });
+}
+
+// Código del catálogo para cualquier error (propio, de la IA o de un SDK)
+function errorCodeFor(err) {
+  if (!err) return "INTERNAL_ERROR";
+  if (err instanceof AppError && ERROR_CATALOG[err.code]) return err.code;
+  if (INPAINTING_ERROR_CODES[err.code]) {
+    return INPAINTING_ERROR_CODES[err.code];
+  }
+  if (
+    err instanceof OpenAI.APIConnectionTimeoutError ||
+    err.name === "TimeoutError" ||
+    err.code === "ETIMEDOUT"
+  ) {
+    return "UPSTREAM_TIMEOUT";
+  }
+  if (err instanceof OpenAI.APIError) return "UPSTREAM_UNAVAILABLE";
+  return "INTERNAL_ERROR";
+}
+
+// catch estándar de las rutas: log + sobre con el código que corresponda
+function sendRouteError(res, label, err) {
+  logError(label, err);
+  if (res.headersSent || res.destroyed) return;
+  return sendError(res, errorCodeFor(err));
+}
+
+function assignRequestId(req, res, next) {
+  const incoming = req.get("x-request-id") || "";
+  req.id = /^[\w.:-]{8,128}$/.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  requestContext.run({ requestId: req.id, req }, next);
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  ERROR_CATALOG,
+  AppError,
+  InpaintingError,
+  INPAINTING_ERROR_CODES,
+  requestLocale,
+  errorMessage,
+  currentRequestId,
+  sendError,
+  errorCodeFor,
+  sendRouteError,
+  assignRequestId
+};
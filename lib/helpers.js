@@ -0,0 +1,45 @@
+// lib/helpers.js
+
+const { log } = require("./logging");
+
+// ================== HELPERS GENERALES ==================
+
+// fetch compatible con Node 18/20/22
+const fetch = (...args) =>
+  import("node-fetch").then(({ default: fetch }) => fetch(...args));
+
+function isUuid(value) {
+  return typeof value === "string" && /^[a-f0-9-]{36}$/i.test(value);
+}
+
+function buildShopifyProductGid(numericId) {
+  if (String(numericId).startsWith("gid://")) return numericId;
+  return `gid://shopify/Product/${numericId}`;
+}
+
+function buildShopifyVariantGid(numericId) {
+  if (String(numericId).startsWith("gid://")) return numericId;
+  return `gid://shopify/ProductVariant/${numericId}`;
+}
+
+function safeParseJSON(raw, label = "JSON") {
+  if (!raw) return null;
+  const cleaned = raw
+    .replace(/```json/gi, "")
+    .replace(/```/g, "")
+    .trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (e) {
+    log("warn", `Error parseando ${label}`, { raw: cleaned.slice(0, 2000) });
+    return null;
+  }
+}
+
+module.exports = {
+  fetch,
+  isUuid,
+  buildShopifyProductGid,
+  buildShopifyVariantGid,
+  safeParseJSON
+};
@@ -0,0 +1,106 @@
+// lib/images.js
+
+const sharp = require("sharp");
+const { AppError } = require("./errors");
+const { fetch } = require("./helpers");
+
+// ================== IMÁGENES: ORIENTACIÓN Y TAMAÑO REAL ==================
+//
+// Las fotos de celular llegan a 4032×3024 con rotación EXIF. Las
+// enderezamos, las llevamos a una resolución de trabajo máxima y usamos
+// SIEMPRE ese tamaño real para máscara, composición y reposición.
+//
+
+const MAX_WORKING_DIMENSION =
+  Number(process.env.MAX_WORKING_DIMENSION) || 2048;
+
+// sharp reporta width/height sin aplicar EXIF: orientaciones 5-8 van giradas
+function orientedSize(meta) {
+  const rotated = meta.orientation && meta.orientation >= 5;
+  return {
+    width: rotated ? meta.height : meta.width,
+    height: rotated ? meta.width : meta.height
+  };
+}
+
+async function normalizeRoomImage(buffer) {
+  const original = orientedSize(await sharp(buffer).metadata());
+
+  const { data, info } = await sharp(buffer)
+    .rotate() // auto-orienta por EXIF y descarta la etiqueta
+    .resize({
+      width: MAX_WORKING_DIMENSION,
+      height: MAX_WORKING_DIMENSION,
+      fit: "inside",
+      withoutEnlargement: true
+    })
+    .jpeg({ quality: 92 })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    width: info.width,
+    height: info.height,
+    originalWidth: original.width,
+    originalHeight: original.height
+  };
+}
+
+async function fetchImageBuffer(url) {
+  const res = await fetch(url).catch((err) => {
+    throw new AppError(
+      "UPSTREAM_UNAVAILABLE",
+      `No se pudo descargar la imagen: ${err.message}`,
+      { url }
+    );
+  });
+  if (!res.ok) {
+    throw new AppError(
+      "UPSTREAM_UNAVAILABLE",
+      `No se pudo descargar la imagen (${res.status})`,
+      { url }
+    );
+  }
+  return Buffer.from(await res.arrayBuffer());
+}
+
+// URL remota o data URL (salidas del mock de inpainting)
+async function loadImageBuffer(source) {
+  if (source.startsWith("data:")) {
+    return Buffer.from(source.slice(source.indexOf(",") + 1), "base64");
+  }
+  return fetchImageBuffer(source);
+}
+
+async function fetchImageDimensions(url) {
+  const meta = await sharp(await fetchImageBuffer(url)).metadata();
+  return orientedSize(meta);
+}
+
+// Reescala un punto/caja de un sistema de coordenadas a otro
+function rescaleCoordinates(
+  values,
+  fromWidth,
+  fromHeight,
+  toWidth,
+  toHeight
+) {
+  const sx = toWidth / fromWidth;
+  const sy = toHeight / fromHeight;
+  const out = {};
+  for (const [key, value] of Object.entries(values)) {
+    const horizontal = key === "x" || key === "width";
+    out[key] = Math.round(value * (horizontal ? sx : sy));
+  }
+  return out;
+}
+
+module.exports = {
+  MAX_WORKING_DIMENSION,
+  orientedSize,
+  normalizeRoomImage,
+  fetchImageBuffer,
+  loadImageBuffer,
+  fetchImageDimensions,
+  rescaleCoordinates
+};
@@ -0,0 +1,485 @@
+// lib/inpainting.js
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { log, logError, logStep } = require("./logging");
+const { observeStage } = require("./metrics");
+const { InpaintingError } = require("./errors");
+const { fetch } = require("./helpers");
+const { loadImageBuffer } = require("./images");
+const { recordUsage } = require("./usage");
+
+// ================== PROVEEDOR DE INPAINTING ==================
+//
+// Interfaz común para cualquier backend de inpainting:
+//   startPrediction(input) -> { id, status }
+//   getPrediction(id)      -> { id, status, output }
+//   waitForPrediction(id, { pollIntervalMs, maxWaitMs, signal, onStatus })
+//   cancelPrediction(id)
+//   getOutput(prediction)  -> URL (o data URL) de la imagen final
+//
+// input: { image, mask (PNG base64), prompt, guidance, numInferenceSteps,
+//          outputFormat, outputQuality, megapixels, seed? }
+//
+// Se elige con INPAINT_PROVIDER=replicate|mock.
+//
+// Límites: INPAINT_MAX_WAIT_MS (espera total), INPAINT_MAX_POLL_INTERVAL_MS
+// (techo del backoff) e INPAINT_START_RETRIES (reintentos al arrancar, solo
+// ante 429: un 5xx o un corte pueden llegar con la predicción ya creada, y
+// repetir el POST lanzaría otra ejecución facturada).
+// Si nos rendimos o el cliente se va, se cancela la predicción.
+//
+
+const INPAINT_PROVIDER = process.env.INPAINT_PROVIDER || "replicate";
+const REPLICATE_API_TOKEN = process.env.REPLICATE_API_TOKEN;
+const REPLICATE_MODEL_SLUG =
+  process.env.REPLICATE_MODEL_SLUG || "black-forest-labs/flux-fill-dev";
+const REPLICATE_API_URL =
+  process.env.REPLICATE_API_URL || "https://api.replicate.com";
+const INPAINT_MAX_WAIT_MS = Number(process.env.INPAINT_MAX_WAIT_MS) || 180000;
+const INPAINT_MAX_POLL_INTERVAL_MS =
+  Number(process.env.INPAINT_MAX_POLL_INTERVAL_MS) || 8000;
+const INPAINT_START_RETRIES = Number.isInteger(
+  Number(process.env.INPAINT_START_RETRIES)
+)
+  ? Number(process.env.INPAINT_START_RETRIES)
+  : 2;
+const INPAINT_POLL_RETRIES = 3;
+const FINAL_PREDICTION_STATUSES = ["succeeded", "failed", "canceled"];
+
+function isTransientHttpStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(
+        new InpaintingError("INPAINT_ABORTED", "Solicitud abortada")
+      );
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new InpaintingError("INPAINT_ABORTED", "Solicitud abortada"));
+    };
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Backoff exponencial con jitter de ±20%
+function backoffDelay(baseMs, attempt, maxMs = INPAINT_MAX_POLL_INTERVAL_MS) {
+  const exp = Math.min(maxMs, baseMs * Math.pow(1.5, attempt));
+  return Math.round(exp * (0.8 + Math.random() * 0.4));
+}
+
+// fetch + JSON con reintentos ante red caída, 429 y 5xx.
+// onlyRateLimited: reintenta solo los 429 (llamadas que no son idempotentes)
+async function fetchJsonWithRetry(
+  url,
+  options,
+  { retries, baseDelayMs = 1000, signal, onlyRateLimited = false }
+) {
+  let lastError;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      await sleep(backoffDelay(baseDelayMs, attempt - 1), signal);
+    }
+
+    try {
+      const res = await fetch(url, options);
+      const json = await res.json().catch(() => ({}));
+
+      if (!isTransientHttpStatus(res.status)) {
+        return { status: res.status, json };
+      }
+      lastError = new Error(`HTTP ${res.status}`);
+      lastError.status = res.status;
+      lastError.body = json;
+    } catch (err) {
+      if (signal && signal.aborted) {
+        throw new InpaintingError("INPAINT_ABORTED", "Solicitud abortada");
+      }
+      lastError = err;
+    }
+
+    if (onlyRateLimited && lastError.status !== 429) throw lastError;
+
+    logStep("Reintentando llamada al proveedor", {
+      url,
+      attempt: attempt + 1,
+      error: lastError.message
+    });
+  }
+
+  throw lastError;
+}
+
+async function waitForPredictionWith(
+  provider,
+  id,
+  {
+    pollIntervalMs = 2000,
+    maxWaitMs = INPAINT_MAX_WAIT_MS,
+    signal,
+    onStatus = () => {}
+  } = {}
+) {
+  const deadline = Date.now() + maxWaitMs;
+  let attempt = 0;
+
+  let prediction = await provider.getPrediction(id);
+  onStatus(prediction.status);
+
+  while (!FINAL_PREDICTION_STATUSES.includes(prediction.status)) {
+    if (Date.now() >= deadline) {
+      throw new InpaintingError(
+        "INPAINT_TIMEOUT",
+        `La predicción ${id} superó ${maxWaitMs} ms`,
+        { predictionId: id }
+      );
+    }
+
+    const delay = Math.min(
+      backoffDelay(pollIntervalMs, attempt++),
+      Math.max(0, deadline - Date.now())
+    );
+    await sleep(delay, signal);
+
+    const previousStatus = prediction.status;
+    prediction = await provider.getPrediction(id);
+    if (prediction.status !== previousStatus) onStatus(prediction.status);
+  }
+
+  return prediction;
+}
+
+function createReplicateProvider({
+  apiToken,
+  modelSlug,
+  baseUrl = REPLICATE_API_URL
+}) {
+  const headers = {
+    Authorization: `Bearer ${apiToken}`,
+    "Content-Type": "application/json"
+  };
+
+  const provider = {
+    name: "replicate",
+    model: modelSlug,
+
+    async startPrediction(input, { signal } = {}) {
+      let result;
+      try {
+        result = await fetchJsonWithRetry(
+          `${baseUrl}/v1/models/${encodeURIComponent(
+            modelSlug
+          )}/predictions`,
+          {
+            method: "POST",
+            headers,
+            body: JSON.stringify({
+              input: {
+                image: input.image,
+                mask: `data:image/png;base64,${input.mask}`,
+                prompt: input.prompt,
+                guidance: input.guidance,
+                num_inference_steps: input.numInferenceSteps,
+                output_format: input.outputFormat || "webp",
+                ...(input.outputQuality
+                  ? { output_quality: input.outputQuality }
+                  : {}),
+                megapixels: input.megapixels || "1",
+                ...(Number.isInteger(input.seed) ? { seed: input.seed } : {})
+              }
+            }),
+            signal
+          },
+          {
+            retries: INPAINT_START_RETRIES,
+            baseDelayMs: 1000,
+            signal,
+            onlyRateLimited: true
+          }
+        );
+      } catch (err) {
+        if (err instanceof InpaintingError) throw err;
+        logError("No se pudo iniciar FLUX", err);
+        throw new InpaintingError(
+          "INPAINT_START_FAILED",
+          "No se pudo iniciar FLUX"
+        );
+      }
+
+      const prediction = result.json;
+      if (!prediction.id) {
+        log("error", "No se pudo iniciar FLUX", { prediction });
+        throw new InpaintingError(
+          "INPAINT_START_FAILED",
+          "No se pudo iniciar FLUX"
+        );
+      }
+      return prediction;
+    },
+
+    async getPrediction(id) {
+      const { json } = await fetchJsonWithRetry(
+        `${baseUrl}/v1/predictions/${id}`,
+        { headers: { Authorization: `Bearer ${apiToken}` } },
+        { retries: INPAINT_POLL_RETRIES, baseDelayMs: 1000 }
+      );
+      return json;
+    },
+
+    waitForPrediction(id, options) {
+      return waitForPredictionWith(provider, id, options);
+    },
+
+    async cancelPrediction(id) {
+      const res = await fetch(
+        `${baseUrl}/v1/predictions/${id}/cancel`,
+        { method: "POST", headers }
+      );
+      return res.json();
+    },
+
+    getOutput(prediction) {
+      const output = prediction && prediction.output;
+      if (Array.isArray(output)) return output[0] || null;
+      return typeof output === "string" ? output : null;
+    }
+  };
+
+  return provider;
+}
+
+// ---- Mock offline: tiñe la zona de la máscara de forma determinista ----
+
+async function renderMockInpainting(input) {
+  const base = sharp(await loadImageBuffer(input.image)).removeAlpha();
+  const { width, height } = await base.metadata();
+
+  // Color estable a partir del prompt (+ seed): mismo input -> misma imagen
+  const digest = crypto
+    .createHash("sha256")
+    .update(`${input.prompt || ""}:${input.seed ?? ""}`)
+    .digest();
+  const tint = {
+    r: 180 + (digest[0] % 60),
+    g: 150 + (digest[1] % 60),
+    b: 120 + (digest[2] % 60)
+  };
+
+  const alpha = await sharp(Buffer.from(input.mask, "base64"))
+    .resize(width, height, { fit: "fill" })
+    .extractChannel(0)
+    .linear(0.35, 0)
+    .raw()
+    .toBuffer();
+
+  const overlay = await sharp({
+    create: { width, height, channels: 3, background: tint }
+  })
+    .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+    .png()
+    .toBuffer();
+
+  const output = await base
+    .composite([{ input: overlay }])
+    .webp({ quality: 90 })
+    .toBuffer();
+
+  return `data:image/webp;base64,${output.toString("base64")}`;
+}
+
+function createMockProvider() {
+  const predictions = new Map();
+
+  const provider = {
+    name: "mock",
+    model: "mock-inpainting",
+
+    async startPrediction(input) {
+      const id = `mock-${crypto.randomUUID()}`;
+      const prediction = { id, status: "starting", output: null };
+      predictions.set(id, prediction);
+
+      prediction.ready = renderMockInpainting(input).then(
+        (url) => {
+          if (prediction.status === "canceled") return;
+          prediction.status = "succeeded";
+          prediction.output = [url];
+        },
+        (err) => {
+          logError("Mock de inpainting falló", err);
+          prediction.status = "failed";
+          prediction.error = err.message;
+        }
+      );
+
+      return { id, status: prediction.status };
+    },
+
+    async getPrediction(id) {
+      const prediction = predictions.get(id);
+      if (!prediction) return { id, status: "failed", error: "not found" };
+      await prediction.ready;
+      const { ready, ...rest } = prediction;
+      return rest;
+    },
+
+    waitForPrediction(id, options) {
+      return waitForPredictionWith(provider, id, {
+        ...options,
+        pollIntervalMs: 0
+      });
+    },
+
+    async cancelPrediction(id) {
+      const prediction = predictions.get(id);
+      if (prediction && !FINAL_PREDICTION_STATUSES.includes(prediction.status)) {
+        prediction.status = "canceled";
+      }
+      return { id, status: prediction ? prediction.status : "failed" };
+    },
+
+    getOutput(prediction) {
+      return prediction && prediction.output ? prediction.output[0] : null;
+    }
+  };
+
+  return provider;
+}
+
+function createInpaintingProvider(name) {
+  switch (name) {
+    case "mock":
+      return createMockProvider();
+    case "replicate":
+      return createReplicateProvider({
+        apiToken: REPLICATE_API_TOKEN,
+        modelSlug: REPLICATE_MODEL_SLUG
+      });
+    default:
+      throw new Error(`INPAINT_PROVIDER desconocido: ${name}`);
+  }
+}
+
+// Replicate informa el tiempo de GPU facturado en metrics.predict_time
+function recordPredictionUsage(prediction) {
+  recordUsage((entry) => {
+    entry.replicate.predictions++;
+    const metrics = (prediction && prediction.metrics) || {};
+    entry.replicate.predict_time_s += Number(metrics.predict_time) || 0;
+  });
+}
+
+// Arranca, espera y devuelve la URL final. Lanza InpaintingError si no hay
+// imagen; si se agota el tiempo o el cliente aborta, cancela la predicción.
+// Métricas: flux_queue (en cola) y flux_run (ejecutando). Si el proveedor
+// da created_at / started_at / completed_at se usan; si no, se mide con el
+// sondeo (paso a "processing"). Sin ese paso, un éxito cuenta como run y
+// un fallo como cola.
+async function runInpainting(
+  inpaintingProvider,
+  input,
+  { pollIntervalMs, maxWaitMs, signal, onStatus = () => {} } = {}
+) {
+  const queuedAt = Date.now();
+  let runningAt = null;
+  const observeFlux = (outcome, prediction) => {
+    const { created_at, started_at, completed_at } = prediction || {};
+    const created = created_at ? Date.parse(created_at) : queuedAt;
+    const running = started_at ? Date.parse(started_at) : runningAt;
+    const done = completed_at ? Date.parse(completed_at) : Date.now();
+
+    if (running) {
+      observeStage("flux_queue", (running - created) / 1000, outcome);
+      observeStage("flux_run", (done - running) / 1000, outcome);
+    } else {
+      const stage = outcome === "ok" ? "flux_run" : "flux_queue";
+      observeStage(stage, (done - created) / 1000, outcome);
+    }
+  };
+
+  const started = await inpaintingProvider.startPrediction(input, { signal });
+
+  let prediction;
+  try {
+    prediction = await inpaintingProvider.waitForPrediction(started.id, {
+      pollIntervalMs,
+      maxWaitMs,
+      signal,
+      onStatus: (status) => {
+        if (status === "processing" && !runningAt) runningAt = Date.now();
+        onStatus(status);
+      }
+    });
+  } catch (err) {
+    observeFlux("error");
+    logStep("Cancelando predicción", { id: started.id, reason: err.message });
+    await inpaintingProvider
+      .cancelPrediction(started.id)
+      .catch((cancelErr) =>
+        logError("No se pudo cancelar la predicción", cancelErr)
+      );
+    if (err instanceof InpaintingError) throw err;
+    throw new InpaintingError("INPAINT_FAILED", err.message, {
+      predictionId: started.id
+    });
+  }
+
+  recordPredictionUsage(prediction);
+  observeFlux(prediction.status === "succeeded" ? "ok" : "error", prediction);
+
+  if (prediction.status === "canceled") {
+    throw new InpaintingError(
+      "INPAINT_CANCELED",
+      `La predicción ${started.id} fue cancelada`,
+      { predictionId: started.id }
+    );
+  }
+
+  const outputUrl = inpaintingProvider.getOutput(prediction);
+
+  if (prediction.status !== "succeeded" || !outputUrl) {
+    log("error", "Inpainting falló", { prediction });
+    throw new InpaintingError(
+      "INPAINT_FAILED",
+      `${inpaintingProvider.name} no devolvió imagen (${prediction.status})`,
+      { predictionId: started.id }
+    );
+  }
+
+  return { prediction, outputUrl };
+}
+
+// AbortSignal que se dispara si el cliente cierra la conexión antes de la respuesta
+function abortSignalForResponse(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+module.exports = {
+  INPAINT_PROVIDER,
+  INPAINT_START_RETRIES,
+  INPAINT_POLL_RETRIES,
+  REPLICATE_API_URL,
+  sleep,
+  backoffDelay,
+  fetchJsonWithRetry,
+  waitForPredictionWith,
+  createReplicateProvider,
+  createMockProvider,
+  createInpaintingProvider,
+  recordPredictionUsage,
+  runInpainting,
+  abortSignalForResponse
+};
@@ -0,0 +1,327 @@
+// lib/jobs.js
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const dns = require("dns");
+const fs = require("fs");
+const https = require("https");
+const net = require("net");
+const path = require("path");
+const { logStep, logError } = require("./logging");
+const { metrics } = require("./metrics");
+const { currentRequestId, errorMessage, errorCodeFor } = require("./errors");
+const { fetch, isUuid } = require("./helpers");
+
+// ================== JOBS (MODO ASÍNCRONO) ==================
+//
+// El POST devuelve un jobId al instante; el pipeline corre en un worker
+// en memoria y el estado de cada paso se persiste en disco (JSON por job).
+// El cliente puede hacer polling o recibir un callback firmado (HMAC).
+//
+// Los callbacks solo se aceptan con JOB_WEBHOOK_SECRET configurado, por
+// https y hacia IPs públicas (también tras resolver el DNS, al conectar).
+// Los jobs terminados salen de memoria a los JOB_TTL_MS; el JSON en disco
+// sigue sirviendo el polling.
+//
+
+const JOBS_DIR =
+  process.env.JOBS_DIR || path.join(__dirname, "..", "data", "jobs");
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 2);
+const JOB_WEBHOOK_SECRET = process.env.JOB_WEBHOOK_SECRET || "";
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MS || 60 * 60 * 1000);
+
+const jobs = new Map(); // jobId -> estado público
+// jobId -> { run, context, file, body, sessionId, progressId } (solo en
+// memoria). run es el pipeline de la app que encoló el job y context el
+// contexto async de su petición (request_id, idioma)
+const jobInputs = new Map();
+// jobId -> última escritura en disco (las escrituras van en orden)
+const jobWrites = new Map();
+const jobQueue = [];
+let activeJobs = 0;
+
+metrics.gauge("innotiva_jobs", "Jobs en cola y en ejecución.", () => [
+  { labels: { state: "queued" }, value: jobQueue.length },
+  { labels: { state: "running" }, value: activeJobs }
+]);
+
+function jobFilePath(jobId) {
+  return path.join(JOBS_DIR, `${jobId}.json`);
+}
+
+// El directorio se crea al guardar el primer job, no al importar.
+// Las escrituras de un job se encadenan (la última en llamarse es la que
+// queda) y son atómicas: tmp + rename, como las sesiones.
+function persistJob(job) {
+  const data = JSON.stringify(job, null, 2);
+  const file = jobFilePath(job.id);
+  const previous = jobWrites.get(job.id) || Promise.resolve();
+
+  const write = previous
+    .then(() => fs.promises.mkdir(JOBS_DIR, { recursive: true }))
+    .then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, file);
+    })
+    .catch((err) =>
+      logError("No se pudo guardar el job", err, { job_id: job.id })
+    );
+
+  jobWrites.set(job.id, write);
+  write.then(() => {
+    if (jobWrites.get(job.id) === write) jobWrites.delete(job.id);
+  });
+  return write;
+}
+
+// Un job terminado no necesita seguir en memoria (su resultado pesa)
+function forgetJobLater(jobId) {
+  setTimeout(() => jobs.delete(jobId), JOB_TTL_MS).unref();
+}
+
+async function loadJob(jobId) {
+  if (jobs.has(jobId)) return jobs.get(jobId);
+  if (!isUuid(jobId)) return null;
+
+  try {
+    await jobWrites.get(jobId);
+    const job = JSON.parse(
+      await fs.promises.readFile(jobFilePath(jobId), "utf8")
+    );
+    // Un job que quedó a medias en un reinicio ya no tiene su input
+    if (job.status === "queued" || job.status === "running") {
+      job.status = "failed";
+      job.step = "failed";
+      job.error = "El trabajo se interrumpió por un reinicio del servidor.";
+      job.updated_at = new Date().toISOString();
+      persistJob(job);
+    }
+    jobs.set(jobId, job);
+    forgetJobLater(jobId);
+    return job;
+  } catch (e) {
+    return null;
+  }
+}
+
+function setJobStep(job, step, extra = {}) {
+  const now = new Date().toISOString();
+  job.step = step;
+  job.steps.push({ step, at: now });
+  job.updated_at = now;
+  Object.assign(job, extra);
+  persistJob(job);
+  logStep("Job actualizado", { jobId: job.id, step });
+}
+
+function serializeJob(job) {
+  return {
+    ok: job.status !== "failed",
+    jobId: job.id,
+    sessionId: job.sessionId,
+    status: job.status,
+    step: job.step,
+    steps: job.steps,
+    result: job.result,
+    error: job.error,
+    error_code: job.error_code || null,
+    request_id: job.request_id || null,
+    created_at: job.created_at,
+    updated_at: job.updated_at
+  };
+}
+
+function signWebhookPayload(payload, timestamp) {
+  return crypto
+    .createHmac("sha256", JOB_WEBHOOK_SECRET)
+    .update(`${timestamp}.${payload}`)
+    .digest("hex");
+}
+
+// ---- Callbacks: solo a IPs públicas ----
+
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3] // multicast y reservadas
+].forEach(([network, prefix]) =>
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 127], // :: y ::1
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+].forEach(([network, prefix]) =>
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv6")
+);
+
+// Las IPv4 mapeadas (::ffff:a.b.c.d) se rechazan siempre: BlockList no
+// las separa de las reglas IPv4
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  if (family === 6 && /^::ffff:/i.test(address)) return true;
+  return PRIVATE_NETWORKS.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// lookup del agente: el host se valida con la IP a la que de verdad se
+// conecta (un DNS que cambia entre la validación y el envío no cuela)
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked || !addresses.length) {
+      return callback(
+        new Error(`El callback resuelve a una IP no pública (${hostname})`)
+      );
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const callbackAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+function jobCallbacksEnabled() {
+  return !!JOB_WEBHOOK_SECRET;
+}
+
+async function notifyJobCallback(job) {
+  if (!job.callbackUrl || !jobCallbacksEnabled()) return;
+
+  const payload = JSON.stringify(serializeJob(job));
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Innotiva-Timestamp": timestamp,
+    "X-Innotiva-Signature": `sha256=${signWebhookPayload(payload, timestamp)}`
+  };
+
+  try {
+    // Sin seguir redirecciones: podrían llevar a un host interno
+    const res = await fetch(job.callbackUrl, {
+      method: "POST",
+      headers,
+      body: payload,
+      agent: callbackAgent,
+      redirect: "manual"
+    });
+    logStep("Callback de job notificado", {
+      jobId: job.id,
+      status: res.status
+    });
+  } catch (err) {
+    logError("No se pudo notificar el callback del job", err, {
+      job_id: job.id
+    });
+  }
+}
+
+// Comprobación al recibir el POST: https y sin IPs privadas literales ni
+// localhost (los nombres se vuelven a comprobar al resolverlos)
+function isValidCallbackUrl(raw) {
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (e) {
+    return false;
+  }
+  if (url.protocol !== "https:" || url.username || url.password) return false;
+
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost")) return false;
+  return !net.isIP(host) || !isPrivateAddress(host);
+}
+
+function enqueueJob({ run, file, body, sessionId, progressId, callbackUrl }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    sessionId,
+    status: "queued",
+    step: "queued",
+    steps: [{ step: "queued", at: now }],
+    callbackUrl: callbackUrl || null,
+    result: null,
+    error: null,
+    error_code: null,
+    request_id: currentRequestId(),
+    created_at: now,
+    updated_at: now
+  };
+
+  jobs.set(job.id, job);
+  jobInputs.set(job.id, {
+    run,
+    context: AsyncLocalStorage.snapshot(),
+    file,
+    body,
+    sessionId,
+    progressId
+  });
+  persistJob(job);
+
+  jobQueue.push(job.id);
+  drainJobQueue();
+  return job;
+}
+
+// Un job que esperó en la cola arranca desde el finally de otro: corre en
+// el contexto de su propia petición, no en el de ese otro job
+function drainJobQueue() {
+  while (activeJobs < JOB_CONCURRENCY && jobQueue.length > 0) {
+    const jobId = jobQueue.shift();
+    const { context } = jobInputs.get(jobId);
+    activeJobs++;
+    context(() => runJob(jobId)).finally(() => {
+      activeJobs--;
+      drainJobQueue();
+    });
+  }
+}
+
+async function runJob(jobId) {
+  const job = jobs.get(jobId);
+  const { run, context, ...input } = jobInputs.get(jobId);
+  jobInputs.delete(jobId);
+
+  job.status = "running";
+
+  try {
+    const result = await run({
+      ...input,
+      onStep: (step) => setJobStep(job, step)
+    });
+    setJobStep(job, "done", { status: "done", result });
+  } catch (err) {
+    logError("Error en job /experiencia-premium", err, { job_id: jobId });
+    const code = errorCodeFor(err);
+    setJobStep(job, "failed", {
+      status: "failed",
+      error: errorMessage(code),
+      error_code: code
+    });
+  }
+
+  forgetJobLater(jobId);
+  await notifyJobCallback(job);
+}
+
+module.exports = {
+  JOBS_DIR,
+  loadJob,
+  serializeJob,
+  signWebhookPayload,
+  isPrivateAddress,
+  isValidCallbackUrl,
+  jobCallbacksEnabled,
+  enqueueJob
+};
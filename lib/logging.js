@@ -0,0 +1,59 @@
+// lib/logging.js
+
+const { requestContext, usageContext } = require("./context");
+
+// ================== LOGS ==================
+//
+// Una línea JSON por evento en stdout/stderr
+//   { ts, level, msg, request_id, session_id, ...campos }
+// request_id sale del contexto de la petición (también en jobs, que heredan
+// el de la petición que los encoló) y session_id de la entrada de uso.
+//
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] || LOG_LEVELS.info;
+
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  return {
+    name: err.name,
+    message: err.message,
+    code: err.code,
+    stack: err.stack
+  };
+}
+
+function log(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVEL) return;
+  const request = requestContext.getStore();
+  const usage = usageContext.getStore();
+  const line = JSON.stringify(
+    {
+      ts: new Date().toISOString(),
+      level,
+      // Los emojis del principio quedan fuera del mensaje (se busca por texto)
+      msg: String(msg).replace(/^[^\p{L}\p{N}]+/u, ""),
+      request_id: request ? request.requestId : null,
+      session_id: (usage && usage.session_id) || null,
+      ...fields
+    },
+    (key, value) => (value instanceof Error ? serializeError(value) : value)
+  );
+  const stream =
+    LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(line + "\n");
+}
+
+function logError(label, err, fields = {}) {
+  log("error", label, {
+    code: (err && err.code) || undefined,
+    error: err,
+    ...fields
+  });
+}
+
+function logStep(step, extra = {}) {
+  log("info", step, extra);
+}
+
+module.exports = { LOG_LEVELS, serializeError, log, logError, logStep };
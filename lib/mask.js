@@ -0,0 +1,226 @@
+// lib/mask.js
+
+const sharp = require("sharp");
+const { PLACEMENT_STRATEGIES } = require("./strategies");
+const { placeProductLayer, clipLayersToCanvas } = require("./compose");
+
+// ================== MÁSCARA (V21 – recorta parte baja) ==================
+//
+// Editamos principalmente la zona del objeto y el aire alrededor,
+// dejando SIN máscara la franja más baja (textura pura de la mesa)
+// para que no aparezcan bloques planos. El padding sale de la estrategia:
+// un cuadro o una alfombra necesitan casi toda su caja.
+//
+// Opciones (por defecto las de strategy.mask, se pueden sobreescribir):
+//   shape:         "rect" | "rounded" | "ellipse"
+//   feather:       desenfoque del borde, fracción del lado menor de la caja
+//   silhouette:    { buffer, dilate } PNG recortado del producto; se suma
+//                  su silueta dilatada (dilate = px) en la posición compuesta
+//   contactShadow: añade una elipse aplanada bajo la base del objeto
+//
+// Todo se arma con operaciones de sharp (SVG + composite + blur).
+//
+
+const DEFAULT_MASK_OPTIONS = {
+  shape: "rect",
+  feather: 0,
+  silhouette: null,
+  contactShadow: false
+};
+
+function maskShapeSvg(width, height, shape) {
+  const cx = width / 2;
+  const cy = height / 2;
+  const r =
+    shape === "rounded" ? Math.round(Math.min(width, height) * 0.18) : 0;
+
+  const body =
+    shape === "ellipse"
+      ? `<ellipse cx="${cx}" cy="${cy}" rx="${cx}" ry="${cy}" fill="#fff"/>`
+      : `<rect width="${width}" height="${height}" rx="${r}" fill="#fff"/>`;
+
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+      body +
+      "</svg>"
+  );
+}
+
+async function silhouetteMaskLayer(productBuffer, placement, dilate = 12) {
+  const layer = await placeProductLayer(productBuffer, placement);
+  const d = Math.max(1, Math.round(dilate));
+
+  // alpha -> binaria -> blur + umbral bajo = dilatación de ~d píxeles
+  const transparent = { r: 0, g: 0, b: 0, alpha: 0 };
+  const padded = await sharp(layer.buffer)
+    .ensureAlpha()
+    .extend({ top: d, bottom: d, left: d, right: d, background: transparent })
+    .png()
+    .toBuffer();
+
+  const alpha = await sharp(padded)
+    .extractChannel(3)
+    .threshold(16)
+    .blur(Math.max(0.3, d / 2))
+    .threshold(1)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const white = await sharp({
+    create: {
+      width: alpha.info.width,
+      height: alpha.info.height,
+      channels: 3,
+      background: "#fff"
+    }
+  })
+    .joinChannel(alpha.data, {
+      raw: {
+        width: alpha.info.width,
+        height: alpha.info.height,
+        channels: 1
+      }
+    })
+    .png()
+    .toBuffer();
+
+  return { input: white, left: layer.left - d, top: layer.top - d };
+}
+
+function contactShadowLayer(placement) {
+  const width = Math.max(2, Math.round(placement.width * 1.1));
+  const height = Math.max(2, Math.round(placement.height * 0.12));
+  return {
+    input: maskShapeSvg(width, height, "ellipse"),
+    left: Math.round(placement.x + (placement.width - width) / 2),
+    top: Math.round(placement.y + placement.height - height / 2)
+  };
+}
+
+// Overrides opcionales del cliente: maskShape, maskFeather, maskSilhouette
+function maskOptionsFromBody(body, silhouette) {
+  const options = {};
+  if (["rect", "rounded", "ellipse"].includes(body.maskShape)) {
+    options.shape = body.maskShape;
+  }
+  const feather = Number(body.maskFeather);
+  if (body.maskFeather != null && feather >= 0 && feather <= 0.2) {
+    options.feather = feather;
+  }
+  if (body.maskSilhouette !== "false" && silhouette) {
+    options.silhouette = silhouette;
+  }
+  return options;
+}
+
+async function createMaskFromAnalysis(
+  analysis,
+  strategy = PLACEMENT_STRATEGIES.objeto_mesa,
+  options = {}
+) {
+  const { imageWidth, imageHeight, finalPlacement } = analysis;
+
+  if (!imageWidth || !imageHeight || !finalPlacement) {
+    throw new Error("Datos insuficientes para crear la máscara");
+  }
+
+  const opts = { ...DEFAULT_MASK_OPTIONS, ...strategy.mask, ...options };
+  const { x, y, width, height } = finalPlacement;
+  const w = Math.max(1, Math.round(imageWidth));
+  const h = Math.max(1, Math.round(imageHeight));
+
+  // Padding asimétrico
+  const padX = Math.floor(width * strategy.maskPadding.x);
+  const padYTop = Math.floor(height * strategy.maskPadding.top);
+  const padYBottom = Math.floor(height * strategy.maskPadding.bottom);
+
+  const startX = Math.max(0, x + padX);
+  const endX = Math.min(w, x + width - padX);
+
+  const startY = Math.max(0, y + padYTop);
+  const endY = Math.min(h, y + height - padYBottom);
+
+  const layers = [];
+
+  if (endX > startX && endY > startY) {
+    layers.push({
+      input: maskShapeSvg(endX - startX, endY - startY, opts.shape),
+      left: startX,
+      top: startY
+    });
+  }
+
+  if (opts.silhouette && opts.silhouette.buffer) {
+    layers.push(
+      await silhouetteMaskLayer(
+        opts.silhouette.buffer,
+        finalPlacement,
+        opts.silhouette.dilate
+      )
+    );
+  }
+
+  if (opts.contactShadow) {
+    layers.push(contactShadowLayer(finalPlacement));
+  }
+
+  // La silueta dilatada y la sombra de contacto pueden salirse de la
+  // imagen con cajas que ocupan todo el ancho o el alto
+  const clipped = await clipLayersToCanvas(layers, w, h);
+
+  // blanco = zona editable, negro = intacto
+  const merged = await sharp({
+    create: { width: w, height: h, channels: 3, background: "#000" }
+  })
+    .composite(clipped.map((layer) => ({ ...layer, blend: "lighten" })))
+    .png()
+    .toBuffer();
+
+  let mask = sharp(merged).extractChannel(0);
+
+  const sigma = opts.feather * Math.min(width, height);
+  if (sigma >= 0.3) mask = mask.blur(sigma);
+
+  const pngBuffer = await mask.png().toBuffer();
+  return pngBuffer.toString("base64");
+}
+
+// Bundles: unión (lighten) de la máscara de cada pieza en un solo PNG
+async function createCombinedMask(analysis, items) {
+  if (items.length === 1) {
+    const [item] = items;
+    return createMaskFromAnalysis(
+      { ...analysis, finalPlacement: item.placement },
+      item.strategy,
+      item.maskOptions
+    );
+  }
+
+  const masks = await Promise.all(
+    items.map((item) =>
+      createMaskFromAnalysis(
+        { ...analysis, finalPlacement: item.placement },
+        item.strategy,
+        item.maskOptions
+      )
+    )
+  );
+
+  const [first, ...rest] = masks.map((m) => Buffer.from(m, "base64"));
+  const merged = await sharp(first)
+    .composite(rest.map((input) => ({ input, blend: "lighten" })))
+    .png()
+    .toBuffer();
+
+  // composite devuelve RGB: volvemos a un solo canal
+  const pngBuffer = await sharp(merged).extractChannel(0).png().toBuffer();
+  return pngBuffer.toString("base64");
+}
+
+module.exports = {
+  DEFAULT_MASK_OPTIONS,
+  maskShapeSvg,
+  maskOptionsFromBody,
+  createMaskFromAnalysis,
+  createCombinedMask
+};
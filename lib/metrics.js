@@ -0,0 +1,207 @@
+// lib/metrics.js
+
+const { log } = require("./logging");
+
+// ================== MÉTRICAS ==================
+//
+// Registro propio en formato de texto de Prometheus (GET /metrics).
+// Etapas del pipeline medidas con timeStage / observeStage:
+//   shopify, openai_vision, mask, compose, flux_queue, flux_run,
+//   cloudinary_upload, final_upload
+//
+
+// Claves de series: etiquetas ya escapadas y ordenadas como en la definición
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([key, value]) =>
+      `${key}="${String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, "\\n")}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function createMetricsRegistry() {
+  const metrics = [];
+
+  return {
+    counter(name, help) {
+      const series = new Map(); // labels -> valor
+      metrics.push({
+        name,
+        help,
+        type: "counter",
+        lines: () =>
+          [...series].map(([labels, value]) => `${name}${labels} ${value}`)
+      });
+      return {
+        inc(labels = {}, value = 1) {
+          const key = formatLabels(labels);
+          series.set(key, (series.get(key) || 0) + value);
+        }
+      };
+    },
+
+    // collect() -> [{ labels, value }] en el momento del scrape
+    gauge(name, help, collect) {
+      metrics.push({
+        name,
+        help,
+        type: "gauge",
+        lines: () =>
+          collect().map(
+            ({ labels = {}, value }) =>
+              `${name}${formatLabels(labels)} ${value}`
+          )
+      });
+    },
+
+    histogram(name, help, buckets) {
+      const series = new Map(); // labels -> { labels, counts, sum, count }
+      metrics.push({
+        name,
+        help,
+        type: "histogram",
+        lines: () =>
+          [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...buckets.map(
+              (le, i) =>
+                `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`
+            ),
+            `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+            `${name}_sum${formatLabels(labels)} ${sum}`,
+            `${name}_count${formatLabels(labels)} ${count}`
+          ])
+      });
+      return {
+        observe(labels, value) {
+          const key = formatLabels(labels);
+          if (!series.has(key)) {
+            series.set(key, {
+              labels,
+              counts: buckets.map(() => 0),
+              sum: 0,
+              count: 0
+            });
+          }
+          const entry = series.get(key);
+          buckets.forEach((le, i) => {
+            if (value <= le) entry.counts[i]++;
+          });
+          entry.sum += value;
+          entry.count++;
+        }
+      };
+    },
+
+    render() {
+      return (
+        metrics
+          .flatMap(({ name, help, type, lines }) => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} ${type}`,
+            ...lines()
+          ])
+          .join("\n") + "\n"
+      );
+    }
+  };
+}
+
+const DURATION_BUCKETS = [
+  0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300
+];
+
+const metrics = createMetricsRegistry();
+const httpRequests = metrics.counter(
+  "innotiva_http_requests_total",
+  "Peticiones HTTP por ruta y status."
+);
+const httpDuration = metrics.histogram(
+  "innotiva_http_request_duration_seconds",
+  "Duración de las peticiones HTTP por ruta.",
+  DURATION_BUCKETS
+);
+const httpErrors = metrics.counter(
+  "innotiva_http_errors_total",
+  "Respuestas de error por código (ERROR_CATALOG)."
+);
+const generationFailures = metrics.counter(
+  "innotiva_generation_failures_total",
+  "Generaciones fallidas (síncronas y jobs) por código."
+);
+const workTotal = metrics.counter(
+  "innotiva_work_total",
+  "Trabajo registrado en el ledger de uso por tipo y resultado."
+);
+const workCost = metrics.counter(
+  "innotiva_cost_usd_total",
+  "Coste estimado en USD por tipo de trabajo."
+);
+const stageDuration = metrics.histogram(
+  "innotiva_stage_duration_seconds",
+  "Duración de cada etapa del pipeline.",
+  DURATION_BUCKETS
+);
+// Los gauges de jobs y generaciones en vuelo se registran en jobs.js y cache.js
+metrics.gauge(
+  "innotiva_process_uptime_seconds",
+  "Segundos desde el arranque.",
+  () => [{ value: Math.round(process.uptime()) }]
+);
+
+function observeStage(stage, seconds, outcome = "ok") {
+  stageDuration.observe({ stage, outcome }, seconds);
+  log("info", "stage", {
+    stage,
+    outcome,
+    duration_ms: Math.round(seconds * 1000)
+  });
+}
+
+async function timeStage(stage, fn) {
+  const started = process.hrtime.bigint();
+  let outcome = "ok";
+  try {
+    return await fn();
+  } catch (err) {
+    outcome = "error";
+    throw err;
+  } finally {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    observeStage(stage, seconds, outcome);
+  }
+}
+
+// Ruta "plantilla" (/sessions/:sessionId) para no crear una serie por id
+function recordHttpMetrics(req, res, next) {
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    log("info", "request", {
+      method: req.method,
+      route,
+      status: res.statusCode,
+      duration_ms: Math.round(seconds * 1000)
+    });
+  });
+  next();
+}
+
+module.exports = {
+  formatLabels,
+  createMetricsRegistry,
+  DURATION_BUCKETS,
+  metrics,
+  httpErrors,
+  generationFailures,
+  workTotal,
+  workCost,
+  observeStage,
+  timeStage,
+  recordHttpMetrics
+};
@@ -0,0 +1,773 @@
+// lib/pipeline.js
+
+const crypto = require("crypto");
+const { logStep, logError } = require("./logging");
+const { timeStage, generationFailures } = require("./metrics");
+const { AppError, errorMessage, errorCodeFor } = require("./errors");
+const { emitProgress } = require("./progress");
+const { markUsage } = require("./usage");
+const { parseProductIds } = require("./bundles");
+const { normalizeRoomImage, fetchImageBuffer } = require("./images");
+const {
+  selectShopifyVariant,
+  productImageForVariant,
+  productDimensionsForVariant,
+  serializeShopifyVariant
+} = require("./shopify");
+const { resolvePlacementStrategy } = require("./strategies");
+const { analyzeRoomAndProduct } = require("./vision");
+const {
+  resolvePlacement,
+  parseRequestDimensions,
+  resolveRoomScale,
+  describeProductSize,
+  resolveBundlePlacements
+} = require("./placement");
+const {
+  DEFAULT_MASK_OPTIONS,
+  maskOptionsFromBody,
+  createCombinedMask
+} = require("./mask");
+const { composeProductOnRoom } = require("./compose");
+const { runInpainting } = require("./inpainting");
+const { buildFluxPrompt, buildEmotionalCopy } = require("./prompts");
+const {
+  inflightGenerations,
+  hashBuffer,
+  analysisCacheKey,
+  resultCacheKey,
+  isCacheBypass,
+  relayProgress
+} = require("./cache");
+const {
+  VARIANT_CONCURRENCY,
+  VARIANT_PLACEMENT_SHIFTS,
+  parseVariantCount,
+  randomSeed,
+  shiftPlacement,
+  mapWithConcurrency,
+  scoreCandidate,
+  rankCandidates
+} = require("./variants");
+
+// ================== PIPELINE PRINCIPAL ==================
+//
+// Todo el flujo de /experiencia-premium vive aquí para poder ejecutarlo
+// tanto en modo síncrono (respuesta directa) como dentro de un job.
+// onStep recibe: uploaded, analyzed, masked, composed, generating.
+// Además cada paso se publica por SSE con emitProgress(progressId, ...).
+//
+// sessionId lo emite siempre el servidor (una sesión nueva por petición);
+// progressId es el canal de progreso, que el cliente puede elegir para
+// abrir el SSE antes del POST (por defecto, el propio sessionId).
+//
+// createPipeline recibe los clientes y stores de la app (createApp): así
+// los tests pueden inyectar fakes de Shopify, Cloudinary y el proveedor.
+//
+
+function createPipeline({
+  openai,
+  shopify,
+  uploads, // createCloudinaryHelpers
+  inpaintingProvider,
+  cutouts, // createCutoutService
+  stores,
+  ledger // createUsageLedger
+}) {
+  const { fetchProductFromShopify, fetchProductsFromShopify } = shopify;
+  const { uploadBufferToCloudinary, uploadUrlToCloudinary, buildThumbnails } =
+    uploads;
+  const { getProductCutout } = cutouts;
+  const { withUsage } = ledger;
+  const {
+    sessions: sessionStore,
+    analysis: analysisCache,
+    results: resultCache
+  } = stores;
+
+  async function runExperienciaPremium(options) {
+    const sessionId = options.sessionId || crypto.randomUUID();
+    const progressId = options.progressId || sessionId;
+    return withUsage(
+      { kind: "generation", sessionId, progressId },
+      () => runExperienciaPremiumCached({ ...options, sessionId, progressId })
+    );
+  }
+
+  async function runExperienciaPremiumCached({
+    file,
+    body,
+    sessionId,
+    progressId,
+    signal,
+    onStep = () => {}
+  }) {
+    const roomHash = hashBuffer(file.buffer);
+    const resultKey = resultCacheKey(roomHash, body);
+    const bypassCache = isCacheBypass(body);
+
+    if (!bypassCache) {
+      const cached = await resultCache.get(resultKey);
+      if (cached) {
+        logStep("♻ Resultado servido desde caché", {
+          sessionId,
+          from: cached.session.id
+        });
+        const result = await adoptGeneration(cached, sessionId);
+        emitProgress(progressId, "complete", {
+          ai_image: result.ai_image,
+          cached: true
+        });
+        markUsage("cached");
+        return { ...result, cached: true };
+      }
+
+      const inflight = inflightGenerations.get(resultKey);
+      if (inflight) {
+        logStep("♻ Petición idéntica en curso, compartiendo ejecución", {
+          sessionId,
+          from: inflight.sessionId
+        });
+        const stopRelay = relayProgress(inflight.progressId, progressId);
+        try {
+          const shared = await inflight.promise;
+          const result = await adoptGeneration(shared, sessionId);
+          markUsage("coalesced");
+          return { ...result, coalesced: true };
+        } catch (err) {
+          // Si la otra petición se canceló (cliente cerrado), corremos
+          // la nuestra
+          if (err.code !== "INPAINT_ABORTED") throw err;
+        } finally {
+          stopRelay();
+        }
+      }
+    }
+
+    const promise = runExperienciaPremiumSteps({
+      file,
+      body,
+      sessionId,
+      progressId,
+      signal,
+      onStep,
+      roomHash,
+      bypassCache
+    });
+    if (!inflightGenerations.has(resultKey)) {
+      inflightGenerations.set(resultKey, { promise, sessionId, progressId });
+    }
+
+    try {
+      const generation = await promise;
+      await resultCache.set(resultKey, generation).catch((err) => {
+        logError("No se pudo guardar el resultado en caché", err);
+      });
+      return generation.result;
+    } catch (err) {
+      const code = errorCodeFor(err);
+      generationFailures.inc({ code });
+      emitProgress(progressId, "error", {
+        code,
+        message: errorMessage(code)
+      });
+      throw err;
+    } finally {
+      const current = inflightGenerations.get(resultKey);
+      if (current && current.promise === promise) {
+        inflightGenerations.delete(resultKey);
+      }
+    }
+  }
+
+  // Una generación ya hecha ({ result, session }: caché o petición idéntica
+  // en curso) se copia en una sesión nueva con el sessionId de quien la
+  // pide. Cada cliente revierte, reposiciona y compra sobre la suya; la
+  // copia parte del estado recién generado, sin cambios posteriores.
+  async function adoptGeneration({ result, session }, sessionId) {
+    const createdAt = new Date().toISOString();
+    await sessionStore.save({
+      ...session,
+      id: sessionId,
+      created_at: createdAt,
+      updated_at: createdAt
+    });
+    return { ...result, sessionId, created_at: createdAt };
+  }
+
+  // Imagen a componer: recorte del theme, o el PNG sin fondo cacheado,
+  // o (si el recorte falla) la foto de Shopify (producto o variante) tal cual
+  async function resolveProductImageUrl(productId, sourceImageUrl, cutoutUrl) {
+    if (cutoutUrl && cutoutUrl.trim().length > 0) return cutoutUrl.trim();
+
+    if (!sourceImageUrl) {
+      throw new AppError(
+        "PRODUCT_NO_IMAGE",
+        `El producto ${productId} no tiene imagen en Shopify`
+      );
+    }
+
+    try {
+      const cutout = await getProductCutout({
+        productId,
+        imageUrl: sourceImageUrl
+      });
+      logStep("Recorte de producto listo", {
+        productId,
+        url: cutout.url,
+        cached: cutout.cached
+      });
+      return cutout.url;
+    } catch (err) {
+      logError("No se pudo recortar el producto, usando la foto", err);
+      return sourceImageUrl;
+    }
+  }
+
+  async function runExperienciaPremiumSteps({
+    file,
+    body,
+    sessionId,
+    progressId,
+    signal,
+    onStep,
+    roomHash,
+    bypassCache
+  }) {
+    const startedAt = Date.now();
+    const progress = (step, data) => emitProgress(progressId, step, data);
+
+    const {
+      productName,
+      productUrl,
+      idea,
+      variantId, // opcional: variante concreta (color, tamaño...)
+      productCutoutUrl // opcional: PNG sin fondo
+    } = body;
+
+    // Mismo cuarto + producto + idea: reutilizamos el upload y el análisis
+    const analysisKey = analysisCacheKey(roomHash, body);
+    const cachedAnalysis = bypassCache
+      ? null
+      : await analysisCache.get(analysisKey);
+
+    // 1) Enderezar (EXIF), normalizar y subir imagen del usuario
+    progress("upload", cachedAnalysis ? { cached: true } : {});
+    let room;
+    let userImageUrl;
+    let roomPublicId;
+    if (cachedAnalysis) {
+      ({ room, roomUrl: userImageUrl, roomPublicId } = cachedAnalysis);
+    } else {
+      room = await normalizeRoomImage(file.buffer);
+      const uploadRoom = await timeStage("cloudinary_upload", () =>
+        uploadBufferToCloudinary(room.buffer, "innotiva/rooms", "room")
+      );
+      userImageUrl = uploadRoom.secure_url;
+      roomPublicId = uploadRoom.public_id;
+    }
+
+    logStep("Imagen del usuario subida a Cloudinary", {
+      roomImageUrl: userImageUrl,
+      width: room.width,
+      height: room.height,
+      originalWidth: room.originalWidth,
+      originalHeight: room.originalHeight
+    });
+    onStep("uploaded");
+
+    // 2) Producto(s) desde Shopify: el primero es el principal del bundle
+    progress("shopify");
+    const productIds = parseProductIds(body);
+    const [productId] = productIds;
+    const productsData =
+      productIds.length > 1
+        ? await fetchProductsFromShopify(productIds)
+        : [await fetchProductFromShopify(productId)];
+    const productData = productsData[0];
+
+    //    Variante elegida (color, tamaño...): su imagen y sus medidas mandan
+    const variant = selectShopifyVariant(productData, variantId);
+    const variantLabel =
+      variantId && variant && variant.title !== "Default Title"
+        ? ` (${variant.title})`
+        : "";
+    const effectiveProductName =
+      (productName || productData.title || "tu producto") + variantLabel;
+    //    Medidas reales: las del request mandan sobre los metafields
+    const requestDimensions = parseRequestDimensions(body);
+    const productDimensions =
+      requestDimensions || productDimensionsForVariant(productData, variant);
+    const productDimensionsSource = requestDimensions
+      ? "request"
+      : productDimensions
+      ? "shopify"
+      : null;
+
+    const productImageUrl = await resolveProductImageUrl(
+      productId,
+      productImageForVariant(productData, variantId ? variant : null),
+      productCutoutUrl
+    );
+    const extraProducts = [];
+    for (let i = 1; i < productsData.length; i++) {
+      const extraVariant = selectShopifyVariant(productsData[i]);
+      extraProducts.push({
+        productId: productIds[i],
+        name: productsData[i].title,
+        type: productsData[i].productType,
+        url: productsData[i].url,
+        variant: extraVariant,
+        dimensions: productDimensionsForVariant(productsData[i], extraVariant),
+        imageUrl: await resolveProductImageUrl(
+          productIds[i],
+          productsData[i].featuredImage
+        )
+      });
+    }
+
+    // 3) Análisis único con Vision (cuarto + producto)
+    progress("analysis");
+    const analysis = cachedAnalysis
+      ? cachedAnalysis.analysis
+      : await analyzeRoomAndProduct(openai, {
+          roomImageUrl: userImageUrl,
+          productImageUrl,
+          ideaText: idea,
+          productName: effectiveProductName,
+          productType: productData.productType,
+          imageWidth: room.width,
+          imageHeight: room.height,
+          productDimensions,
+          extraProducts
+        });
+    if (cachedAnalysis) {
+      logStep("♻ Análisis reutilizado desde caché", { analysisKey });
+    } else if (!analysis.fallback) {
+      // Los fallbacks no se cachean: la próxima vez Vision puede responder
+      await analysisCache
+        .set(analysisKey, {
+          room: {
+            width: room.width,
+            height: room.height,
+            originalWidth: room.originalWidth,
+            originalHeight: room.originalHeight
+          },
+          roomUrl: userImageUrl,
+          roomPublicId,
+          analysis
+        })
+        .catch((err) => {
+          logError("No se pudo guardar el análisis en caché", err);
+        });
+    }
+    onStep("analyzed");
+
+    // 4) Ajustar placement según tipo de producto + idea del cliente
+    const strategy = resolvePlacementStrategy(
+      productData.productType,
+      analysis
+    );
+    analysis.strategy = strategy.key;
+    //    Escala del cuarto (px/cm) para dimensionar la caja con medidas reales
+    const scale = resolveRoomScale(analysis, room.width);
+    //    Se usa la caja de Vision (escalada al tamaño real) salvo que sea
+    //    inválida
+    const resolved = resolvePlacement({
+      analysis,
+      realWidth: room.width,
+      realHeight: room.height,
+      productType: productData.productType,
+      ideaText: idea,
+      strategy,
+      scale,
+      productDimensions
+    });
+    analysis.scale = scale
+      ? {
+          pixels_per_cm: Math.round(scale.pixelsPerCm * 100) / 100,
+          reference: scale.reference,
+          confidence: scale.confidence,
+          applied: resolved.scaled,
+          rejected_reason: resolved.scaleReason
+        }
+      : null;
+    analysis.productSize = productDimensions
+      ? {
+          ...productDimensions,
+          source: productDimensionsSource,
+          label: describeProductSize(productDimensions)
+        }
+      : null;
+    analysis.modelImageWidth = analysis.imageWidth;
+    analysis.modelImageHeight = analysis.imageHeight;
+    analysis.imageWidth = room.width;
+    analysis.imageHeight = room.height;
+    analysis.finalPlacement = resolved.placement;
+    analysis.placementSource = resolved.source;
+    analysis.placementRejectedReason = resolved.reason;
+
+    logStep("Placement resuelto", {
+      source: resolved.source,
+      reason: resolved.reason,
+      scaled: resolved.scaled,
+      placement: resolved.placement
+    });
+
+    //    Piezas extra del bundle: cada una con su caja, sin pisarse
+    const bundlePlacements = resolveBundlePlacements({
+      analysis,
+      realWidth: room.width,
+      realHeight: room.height,
+      mainPlacement: resolved.placement,
+      extras: extraProducts.map((extra) => ({
+        productType: extra.type,
+        dimensions: extra.dimensions
+      })),
+      scale
+    });
+
+    logStep("Generando máscara...");
+    progress("mask");
+    const items = [
+      {
+        imageUrl: productImageUrl,
+        placement: resolved.placement,
+        placementSource: resolved.source,
+        strategy
+      },
+      ...extraProducts.map((extra, i) => ({
+        imageUrl: extra.imageUrl,
+        placement: bundlePlacements[i].placement,
+        placementSource: bundlePlacements[i].source,
+        strategy: bundlePlacements[i].strategy
+      }))
+    ];
+    for (const item of items) {
+      item.buffer = await fetchImageBuffer(item.imageUrl);
+      item.maskOptions = maskOptionsFromBody(body, {
+        buffer: item.buffer,
+        dilate: Math.max(4, Math.round(item.placement.width * 0.04))
+      });
+    }
+    const maskOptions = items[0].maskOptions;
+    const maskBase64 = await timeStage("mask", () =>
+      createCombinedMask(analysis, items)
+    );
+    logStep("Máscara generada correctamente", { pieces: items.length });
+    onStep("masked");
+
+    let debugInfo = null;
+    if (body.debug === "1" || body.debug === "true") {
+      const maskUpload = await uploadBufferToCloudinary(
+        Buffer.from(maskBase64, "base64"),
+        "innotiva/masks",
+        "mask"
+      );
+      debugInfo = {
+        mask_url: maskUpload.secure_url,
+        mask_options: {
+          ...DEFAULT_MASK_OPTIONS,
+          ...strategy.mask,
+          ...maskOptions,
+          silhouette: maskOptions.silhouette
+            ? { dilate: maskOptions.silhouette.dilate }
+            : null
+        }
+      };
+    }
+
+    // 5) Componer el producto PNG real dentro del cuarto (base IA)
+    progress("composition");
+    const composedUrl = await timeStage("compose", () =>
+      composeProductOnRoom(uploads, {
+        roomImageUrl: userImageUrl,
+        items: items.map((item) => ({
+          productBuffer: item.buffer,
+          placement: item.placement,
+          shadow: item.strategy.compositeShadow
+        })),
+        roomWidth: room.width,
+        roomHeight: room.height,
+        lightDirection: analysis.lightDirection
+      })
+    );
+    onStep("composed");
+
+    // ====================== PROMPT PARA FLUX (ARQUITECTÓNICO V21) ====================== //
+
+    const prompt = buildFluxPrompt({
+      analysis,
+      strategy,
+      idea,
+      bundleNames: extraProducts.map((extra) => extra.name)
+    });
+
+    // ====================== FLUX ====================== //
+
+    const variantCount = parseVariantCount(body);
+    const varyPlacement =
+      variantCount > 1 &&
+      (body.variantPlacements === "1" || body.variantPlacements === "true");
+
+    logStep("🧩 Llamando a FLUX (modo arquitectónico V21)...", {
+      provider: inpaintingProvider.name,
+      variants: variantCount
+    });
+    onStep("generating");
+    progress("flux_start", { variants: variantCount });
+
+    const generateCandidate = async (index) => {
+      const seed = randomSeed();
+      let candidateItems = items;
+      let candidateMask = maskBase64;
+      let candidateBase = composedUrl;
+
+      //    Variante de placement: misma escena, caja desplazada a un lado
+      const shift =
+        VARIANT_PLACEMENT_SHIFTS[index % VARIANT_PLACEMENT_SHIFTS.length];
+      if (varyPlacement && shift) {
+        const dx = Math.round(shift * resolved.placement.width);
+        candidateItems = items.map((item) => ({
+          ...item,
+          placement: shiftPlacement(item.placement, dx, room.width)
+        }));
+        candidateMask = await timeStage("mask", () =>
+          createCombinedMask(analysis, candidateItems)
+        );
+        candidateBase = await timeStage("compose", () =>
+          composeProductOnRoom(uploads, {
+            roomImageUrl: userImageUrl,
+            items: candidateItems.map((item) => ({
+              productBuffer: item.buffer,
+              placement: item.placement,
+              shadow: item.strategy.compositeShadow
+            })),
+            roomWidth: room.width,
+            roomHeight: room.height,
+            lightDirection: analysis.lightDirection
+          })
+        );
+      }
+
+      const { outputUrl } = await runInpainting(
+        inpaintingProvider,
+        {
+          image: candidateBase,
+          mask: candidateMask,
+          prompt,
+          guidance: strategy.generation.guidance,
+          numInferenceSteps: strategy.generation.numInferenceSteps,
+          outputFormat: "webp",
+          outputQuality: 98,
+          megapixels: "1",
+          seed
+        },
+        {
+          pollIntervalMs: 2000,
+          signal,
+          onStatus: (status) =>
+            progress("flux_status", { status, variant: index })
+        }
+      );
+
+      logStep("🟢 FLUX listo", { variant: index, seed, url: outputUrl });
+
+      const scored = await scoreCandidate({
+        baseUrl: candidateBase,
+        outputUrl,
+        maskBase64: candidateMask
+      }).catch((err) => {
+        logError("No se pudo puntuar la variante", err, { variant: index });
+        return { score: null, changeOutsideMask: null };
+      });
+
+      // 9) Subir resultado a Cloudinary
+      progress("cloudinary_upload", { variant: index });
+      const uploadGenerated = await timeStage("final_upload", () =>
+        uploadUrlToCloudinary(outputUrl, "innotiva/generated", "room-generated")
+      );
+
+      return {
+        index,
+        seed,
+        versionId: crypto.randomUUID(),
+        imageUrl: uploadGenerated.secure_url,
+        publicId: uploadGenerated.public_id,
+        baseUsed: candidateBase,
+        placement: candidateItems[0].placement,
+        score: scored.score,
+        changeOutsideMask: scored.changeOutsideMask,
+        thumbnails: buildThumbnails(uploadGenerated.public_id)
+      };
+    };
+
+    const settled = await mapWithConcurrency(
+      Array.from({ length: variantCount }, (_, i) => i),
+      VARIANT_CONCURRENCY,
+      generateCandidate
+    );
+    const generated = settled
+      .filter((r) => r.status === "fulfilled")
+      .map((r) => r.value);
+
+    //    Si fallan todas propagamos el primer error
+    if (!generated.length) {
+      throw settled.find((r) => r.status === "rejected").reason;
+    }
+
+    const candidates = rankCandidates(generated);
+    const best = candidates[0];
+    progress("flux_ready");
+
+    const generatedImageUrl = best.imageUrl;
+
+    const thumbnails = {
+      before: buildThumbnails(roomPublicId),
+      after: best.thumbnails
+    };
+
+    if (!userImageUrl || !generatedImageUrl) {
+      throw new AppError(
+        "GENERATION_FAILED",
+        "Imágenes incompletas (antes/después)."
+      );
+    }
+
+    // 10) Copy emocional
+    const message = buildEmotionalCopy({
+      roomStyle: analysis.roomStyle,
+      productName: effectiveProductName,
+      idea
+    });
+
+    // La URL de Shopify manda (igual que en las piezas del bundle); la del
+    // cliente solo si Shopify no tiene ninguna
+    const mainProductUrl = productData.url || productUrl || null;
+    const mainProduct = {
+      productId,
+      name: effectiveProductName,
+      url: mainProductUrl,
+      type: productData.productType,
+      variant
+    };
+    const products = items.map((item, i) => {
+      const info = i === 0 ? mainProduct : extraProducts[i - 1];
+      return {
+        product_id: info.productId,
+        product_name: info.name,
+        product_url: info.url,
+        type: info.type,
+        variant: serializeShopifyVariant(info.variant),
+        image: item.imageUrl,
+        strategy: item.strategy.key,
+        placement: item.placement,
+        placement_source: item.placementSource
+      };
+    });
+
+    // 11) Guardar la sesión para consultas y reposiciones posteriores
+    const createdAt = new Date().toISOString();
+    const originalVersionId = crypto.randomUUID();
+    const session = {
+      id: sessionId,
+      created_at: createdAt,
+      updated_at: createdAt,
+      room: {
+        url: userImageUrl,
+        public_id: roomPublicId,
+        width: room.width,
+        height: room.height,
+        original_width: room.originalWidth,
+        original_height: room.originalHeight
+      },
+      product: {
+        id: productId,
+        name: effectiveProductName,
+        type: productData.productType,
+        url: mainProductUrl,
+        image: productImageUrl,
+        variant_id: variant ? variant.id : null,
+        variant: serializeShopifyVariant(variant),
+        dimensions: productDimensions
+      },
+      products,
+      idea: idea || "",
+      analysis,
+      placement: best.placement,
+      prompt,
+      current_version_id: best.versionId,
+      versions: [
+        {
+          id: originalVersionId,
+          parent_id: null,
+          kind: "original",
+          image_url: userImageUrl,
+          public_id: roomPublicId,
+          created_at: createdAt
+        },
+        // La mejor variante es la "generation"; el resto quedan como
+        // "candidate" para poder revertir a cualquiera de ellas
+        ...candidates.map((candidate) => ({
+          id: candidate.versionId,
+          parent_id: originalVersionId,
+          kind: candidate === best ? "generation" : "candidate",
+          image_url: candidate.imageUrl,
+          public_id: candidate.publicId,
+          base_used: candidate.baseUsed,
+          placement: candidate.placement,
+          prompt,
+          seed: candidate.seed,
+          score: candidate.score,
+          rank: candidate.rank,
+          created_at: createdAt
+        }))
+      ]
+    };
+    await sessionStore.save(session);
+
+    logStep("EXPERIENCIA GENERADA OK", {
+      elapsedMs: Date.now() - startedAt
+    });
+    progress("complete", { ai_image: generatedImageUrl });
+
+    // 12) Respuesta final (con la sesión tal cual se guardó, para la caché)
+    const result = {
+      ok: true,
+      status: "complete",
+      sessionId,
+      room_image: userImageUrl,
+      ai_image: generatedImageUrl,
+      product_url: mainProductUrl,
+      product_name: effectiveProductName,
+      product_id: productId,
+      variant: serializeShopifyVariant(variant),
+      price: variant ? variant.price : null,
+      products,
+      message,
+      analysis,
+      thumbnails,
+      candidates: candidates.map((candidate) => ({
+        version_id: candidate.versionId,
+        rank: candidate.rank,
+        ai_image: candidate.imageUrl,
+        thumbnails: candidate.thumbnails,
+        seed: candidate.seed,
+        score: candidate.score,
+        change_outside_mask: candidate.changeOutsideMask,
+        placement: candidate.placement
+      })),
+      embedding: analysis.product || null,
+      ...(debugInfo ? { debug: debugInfo } : {}),
+      created_at: createdAt
+    };
+    return { result, session };
+  }
+
+  return {
+    runExperienciaPremium,
+    resolveProductImageUrl
+  };
+}
+
+module.exports = { createPipeline };
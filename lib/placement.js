@@ -0,0 +1,489 @@
+// lib/placement.js
+
+const { safeParseJSON } = require("./helpers");
+const {
+  PLACEMENT_STRATEGIES,
+  strategyFromProductType,
+  resolvePlacementStrategy,
+  strategyDefaultBox
+} = require("./strategies");
+
+// ============ POSICIÓN DE LA MÁSCARA (rectángulo base) ============
+
+function determineMaskPosition(analysis, productType = "", ideaText = "") {
+  const imageWidth = analysis.imageWidth || 1600;
+  const imageHeight = analysis.imageHeight || 900;
+  const strategy = resolvePlacementStrategy(productType, analysis);
+
+  let { x, y, width, height } = strategyDefaultBox(
+    strategy,
+    imageWidth,
+    imageHeight
+  );
+
+  const idea = (ideaText || "").toLowerCase();
+
+  if (/abajo|inferior/i.test(idea))
+    y = Math.round(imageHeight * strategy.ideaY.down);
+  if (/arriba|superior/i.test(idea))
+    y = Math.round(imageHeight * strategy.ideaY.up);
+  if (/centro|centrado/i.test(idea))
+    x = Math.round((imageWidth - width) / 2);
+  if (/izquierda/i.test(idea)) x = Math.round(imageWidth * 0.20);
+  if (/derecha/i.test(idea)) x = Math.round(imageWidth * 0.62);
+
+  // Clamp
+  if (x < 0) x = 0;
+  if (y < 0) y = 0;
+  if (x + width > imageWidth) width = imageWidth - x;
+  if (y + height > imageHeight) height = imageHeight - y;
+
+  return { x, y, width, height };
+}
+
+// ============ RESOLVER DE PLACEMENT (Vision + idea + heurística) ============
+//
+// Preferimos la caja que devolvió Vision (basada en superficies reales).
+// Se escala desde el tamaño que reportó el modelo al tamaño real en píxeles,
+// se valida (dentro de la imagen, tamaño razonable) y se corrige con las
+// pistas del cliente. Solo si no pasa la validación usamos la heurística.
+//
+
+const PLACEMENT_MIN_SIDE_RATIO = 0.03; // lado mínimo: 3% de la imagen
+const PLACEMENT_MAX_AREA_RATIO = 0.5; // área máxima: 50% de la imagen
+const PLACEMENT_OUT_OF_BOUNDS_TOLERANCE = 0.1; // se recorta si se sale poco
+
+function isFiniteBox(box) {
+  return (
+    !!box &&
+    ["x", "y", "width", "height"].every((k) => Number.isFinite(box[k]))
+  );
+}
+
+function scaleBox(box, fromWidth, fromHeight, toWidth, toHeight) {
+  const sx = toWidth / fromWidth;
+  const sy = toHeight / fromHeight;
+  return {
+    x: Math.round(box.x * sx),
+    y: Math.round(box.y * sy),
+    width: Math.round(box.width * sx),
+    height: Math.round(box.height * sy)
+  };
+}
+
+// Devuelve { box } válido (recortado a la imagen) o { reason } si se descarta
+function validatePlacementBox(box, imageWidth, imageHeight) {
+  if (!isFiniteBox(box)) return { reason: "caja incompleta" };
+  if (box.width <= 0 || box.height <= 0) {
+    return { reason: "tamaño no positivo" };
+  }
+
+  const tolX = imageWidth * PLACEMENT_OUT_OF_BOUNDS_TOLERANCE;
+  const tolY = imageHeight * PLACEMENT_OUT_OF_BOUNDS_TOLERANCE;
+  if (
+    box.x < -tolX ||
+    box.y < -tolY ||
+    box.x + box.width > imageWidth + tolX ||
+    box.y + box.height > imageHeight + tolY
+  ) {
+    return { reason: "fuera de la imagen" };
+  }
+
+  const x = Math.max(0, box.x);
+  const y = Math.max(0, box.y);
+  const clamped = {
+    x,
+    y,
+    width: Math.min(box.width - (x - box.x), imageWidth - x),
+    height: Math.min(box.height - (y - box.y), imageHeight - y)
+  };
+
+  if (
+    clamped.width < imageWidth * PLACEMENT_MIN_SIDE_RATIO ||
+    clamped.height < imageHeight * PLACEMENT_MIN_SIDE_RATIO
+  ) {
+    return { reason: "demasiado pequeña" };
+  }
+  if (
+    clamped.width * clamped.height >
+    imageWidth * imageHeight * PLACEMENT_MAX_AREA_RATIO
+  ) {
+    return { reason: "demasiado grande" };
+  }
+
+  return { box: clamped };
+}
+
+// Si el cliente pidió un lado/altura y la caja del modelo lo contradice,
+// movemos la caja a la posición heurística en ese eje (el tamaño se respeta).
+function applyIdeaHints(box, heuristicBox, imageWidth, imageHeight, ideaText) {
+  const idea = (ideaText || "").toLowerCase();
+  const centerX = (box.x + box.width / 2) / imageWidth;
+  const centerY = (box.y + box.height / 2) / imageHeight;
+  let { x, y } = box;
+  let applied = false;
+
+  if (/izquierda/.test(idea) && centerX > 0.45) {
+    x = heuristicBox.x;
+    applied = true;
+  } else if (/derecha/.test(idea) && centerX < 0.55) {
+    x = heuristicBox.x;
+    applied = true;
+  } else if (/centro|centrado/.test(idea) && Math.abs(centerX - 0.5) > 0.15) {
+    x = Math.round((imageWidth - box.width) / 2);
+    applied = true;
+  }
+
+  if (/abajo|inferior/.test(idea) && centerY < 0.5) {
+    y = heuristicBox.y;
+    applied = true;
+  } else if (/arriba|superior/.test(idea) && centerY > 0.5) {
+    y = heuristicBox.y;
+    applied = true;
+  }
+
+  x = Math.min(Math.max(0, x), Math.max(0, imageWidth - box.width));
+  y = Math.min(Math.max(0, y), Math.max(0, imageHeight - box.height));
+
+  return { box: { ...box, x, y }, applied };
+}
+
+// realWidth/realHeight: tamaño real en píxeles (sharp metadata)
+// scale + productDimensions (opcionales): redimensionan la caja a escala real
+function resolvePlacement({
+  analysis,
+  realWidth,
+  realHeight,
+  productType = "",
+  ideaText = "",
+  strategy = null,
+  scale = null,
+  productDimensions = null
+}) {
+  const heuristic = determineMaskPosition(
+    { ...analysis, imageWidth: realWidth, imageHeight: realHeight },
+    productType,
+    ideaText
+  );
+  const toScale = (box) =>
+    sizeBoxToScale(box, {
+      scale,
+      dimensions: productDimensions,
+      anchor: strategy && strategy.scaleAnchor,
+      realWidth,
+      realHeight
+    });
+
+  if (analysis.fallback) {
+    const sized = toScale(heuristic);
+    return {
+      placement: sized.box,
+      source: "heuristic",
+      reason: "análisis incompleto",
+      scaled: sized.applied,
+      scaleReason: sized.reason || null
+    };
+  }
+
+  const modelBox = isFiniteBox(analysis.finalPlacement)
+    ? analysis.finalPlacement
+    : analysis.placement;
+  const modelWidth = Number(analysis.imageWidth) || realWidth;
+  const modelHeight = Number(analysis.imageHeight) || realHeight;
+
+  const scaled = isFiniteBox(modelBox)
+    ? scaleBox(modelBox, modelWidth, modelHeight, realWidth, realHeight)
+    : null;
+  const { box, reason } = validatePlacementBox(scaled, realWidth, realHeight);
+
+  if (!box) {
+    const sized = toScale(heuristic);
+    return {
+      placement: sized.box,
+      source: "heuristic",
+      reason,
+      scaled: sized.applied,
+      scaleReason: sized.reason || null
+    };
+  }
+
+  const sized = toScale(box);
+  const hinted = applyIdeaHints(
+    sized.box,
+    heuristic,
+    realWidth,
+    realHeight,
+    ideaText
+  );
+  return {
+    placement: hinted.box,
+    source: hinted.applied ? "vision+idea" : "vision",
+    reason: null,
+    scaled: sized.applied,
+    scaleReason: sized.reason || null
+  };
+}
+
+// ---- Escala real: medidas del producto × píxeles por cm del cuarto ----
+//
+// Vision estima pixelsPerCm (en su sistema de coordenadas) a partir de
+// muebles de medida conocida. Con las medidas del producto (metafields de
+// Shopify o el campo productDimensions del request) la caja deja de ser una
+// fracción fija de la imagen: una vela de 15 cm y un jarrón de 60 cm ya no
+// salen del mismo tamaño.
+
+const SCALE_MIN_CONFIDENCE = Number(process.env.SCALE_MIN_CONFIDENCE || 0.35);
+
+// productDimensions (JSON u objeto con width_cm/height_cm/depth_cm) o
+// productWidthCm / productHeightCm / productDepthCm sueltos
+function parseRequestDimensions(body) {
+  let raw = body.productDimensions;
+  if (typeof raw === "string") raw = safeParseJSON(raw, "productDimensions");
+  if (!raw || typeof raw !== "object") {
+    raw = {
+      width_cm: body.productWidthCm,
+      height_cm: body.productHeightCm,
+      depth_cm: body.productDepthCm
+    };
+  }
+
+  const dimensions = {};
+  for (const key of ["width_cm", "height_cm", "depth_cm"]) {
+    const value = Number(raw[key]);
+    if (Number.isFinite(value) && value > 0) dimensions[key] = value;
+  }
+  return Object.keys(dimensions).length ? dimensions : null;
+}
+
+// pixelsPerCm en píxeles reales, o null si Vision no dio una escala fiable
+function resolveRoomScale(analysis, realWidth) {
+  const raw = analysis && analysis.scale;
+  if (!raw || analysis.fallback) return null;
+
+  const pixelsPerCm = Number(raw.pixelsPerCm);
+  const confidence = Number(raw.confidence);
+  if (!Number.isFinite(pixelsPerCm) || pixelsPerCm <= 0) return null;
+  if (Number.isFinite(confidence) && confidence < SCALE_MIN_CONFIDENCE) {
+    return null;
+  }
+
+  const modelWidth = Number(analysis.imageWidth) || realWidth;
+  return {
+    pixelsPerCm: pixelsPerCm * (realWidth / modelWidth),
+    reference: raw.reference || null,
+    confidence: Number.isFinite(confidence) ? confidence : null
+  };
+}
+
+// Redimensiona la caja al tamaño real manteniendo el ancla de la estrategia.
+// Si solo hay una medida, la otra sale de la proporción de la caja.
+function sizeBoxToScale(
+  box,
+  { scale, dimensions, anchor, realWidth, realHeight }
+) {
+  if (!scale || !dimensions || !anchor) return { box, applied: false };
+
+  const ppc = scale.pixelsPerCm;
+  let width = dimensions.width_cm && dimensions.width_cm * ppc;
+  let height = dimensions.height_cm && dimensions.height_cm * ppc;
+  if (!width && !height) return { box, applied: false };
+  if (!width) width = height * (box.width / box.height);
+  if (!height) height = width * (box.height / box.width);
+
+  width = Math.round(width);
+  height = Math.round(height);
+  const x = Math.round(box.x + (box.width - width) / 2);
+  const y =
+    anchor === "bottom"
+      ? box.y + box.height - height
+      : Math.round(box.y + (box.height - height) / 2);
+
+  const checked = validatePlacementBox(
+    { x, y, width, height },
+    realWidth,
+    realHeight
+  );
+  if (!checked.box) {
+    return { box, applied: false, reason: `escala ${checked.reason}` };
+  }
+  return { box: checked.box, applied: true };
+}
+
+// "aprox. 40 cm de alto" para que el frontend lo muestre tal cual
+function describeProductSize(dimensions) {
+  if (!dimensions) return null;
+  if (dimensions.height_cm) {
+    return `aprox. ${Math.round(dimensions.height_cm)} cm de alto`;
+  }
+  if (dimensions.width_cm) {
+    return `aprox. ${Math.round(dimensions.width_cm)} cm de ancho`;
+  }
+  return null;
+}
+
+// ---- Bundles: una caja por pieza adicional, sin solaparse ----
+
+function boxesOverlap(a, b, tolerance = 0.1) {
+  const ix = Math.max(
+    0,
+    Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x)
+  );
+  const iy = Math.max(
+    0,
+    Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y)
+  );
+  const smaller = Math.min(a.width * a.height, b.width * b.height);
+  return ix * iy > tolerance * smaller;
+}
+
+// Heurística: alterna derecha/izquierda de la caja principal, misma base
+function bundleFallbackBox(mainBox, index, strategy, realWidth, realHeight) {
+  const width = Math.round(realWidth * strategy.box.width * 0.8);
+  const height = Math.round(realHeight * strategy.box.height * 0.8);
+  const gap = Math.round(mainBox.width * 0.1);
+  const slot = Math.ceil(index / 2);
+
+  let x =
+    index % 2 === 1
+      ? mainBox.x + mainBox.width + gap + (slot - 1) * (width + gap)
+      : mainBox.x - slot * (width + gap);
+  let y = mainBox.y + mainBox.height - height;
+
+  return clampBoxToImage({ x, y, width, height }, realWidth, realHeight);
+}
+
+function clampBoxToImage(box, realWidth, realHeight) {
+  return {
+    ...box,
+    x: Math.min(Math.max(0, box.x), Math.max(0, realWidth - box.width)),
+    y: Math.min(Math.max(0, box.y), Math.max(0, realHeight - box.height))
+  };
+}
+
+// Cerca del borde, recortar contra la imagen puede meter la caja encima de
+// otra pieza: se prueba junto a cada caja ocupada (derecha/izquierda, misma
+// base) y, si no hay hueco, se encoge y se vuelve a probar
+function avoidTakenBoxes(box, taken, realWidth, realHeight) {
+  const isFree = (b) => !taken.some((t) => boxesOverlap(t, b));
+  let current = box;
+
+  for (let attempt = 0; attempt < 4; attempt++) {
+    const gap = Math.round(current.width * 0.1);
+    const candidates = [current];
+    for (const t of taken) {
+      candidates.push(
+        { ...current, x: t.x + t.width + gap },
+        { ...current, x: t.x - gap - current.width }
+      );
+    }
+    const free = candidates
+      .map((b) => clampBoxToImage(b, realWidth, realHeight))
+      .find(isFree);
+    if (free) return free;
+
+    const width = Math.round(current.width * 0.75);
+    const height = Math.round(current.height * 0.75);
+    current = {
+      x: Math.round(current.x + (current.width - width) / 2),
+      y: current.y + current.height - height,
+      width,
+      height
+    };
+  }
+  return clampBoxToImage(current, realWidth, realHeight);
+}
+
+// extras: [{ productType, dimensions? }] en el mismo orden que
+// bundlePlacements (index 1..n)
+function resolveBundlePlacements({
+  analysis,
+  realWidth,
+  realHeight,
+  mainPlacement,
+  extras,
+  scale = null
+}) {
+  const modelWidth =
+    Number(analysis.modelImageWidth || analysis.imageWidth) || realWidth;
+  const modelHeight =
+    Number(analysis.modelImageHeight || analysis.imageHeight) || realHeight;
+  const modelBoxes = Array.isArray(analysis.bundlePlacements)
+    ? analysis.bundlePlacements
+    : [];
+
+  const taken = [mainPlacement];
+
+  return extras.map((extra, i) => {
+    const index = i + 1;
+    const strategy =
+      strategyFromProductType(extra.productType) ||
+      PLACEMENT_STRATEGIES.objeto_mesa;
+
+    const toScale = (box) =>
+      sizeBoxToScale(box, {
+        scale,
+        dimensions: extra.dimensions,
+        anchor: strategy.scaleAnchor,
+        realWidth,
+        realHeight
+      }).box;
+
+    const modelBox = modelBoxes.find((b) => Number(b && b.index) === index);
+    let result = { reason: "sin caja del modelo" };
+
+    if (!analysis.fallback && isFiniteBox(modelBox)) {
+      const scaled = scaleBox(
+        modelBox,
+        modelWidth,
+        modelHeight,
+        realWidth,
+        realHeight
+      );
+      result = validatePlacementBox(scaled, realWidth, realHeight);
+      if (result.box) result.box = toScale(result.box);
+      if (result.box && taken.some((t) => boxesOverlap(t, result.box))) {
+        result = { reason: "se superpone con otra pieza" };
+      }
+    }
+
+    const placement =
+      result.box ||
+      avoidTakenBoxes(
+        toScale(
+          bundleFallbackBox(
+            mainPlacement,
+            index,
+            strategy,
+            realWidth,
+            realHeight
+          )
+        ),
+        taken,
+        realWidth,
+        realHeight
+      );
+    taken.push(placement);
+
+    return {
+      placement,
+      strategy,
+      source: result.box ? "vision" : "heuristic",
+      reason: result.box ? null : result.reason
+    };
+  });
+}
+
+module.exports = {
+  determineMaskPosition,
+  isFiniteBox,
+  scaleBox,
+  validatePlacementBox,
+  applyIdeaHints,
+  resolvePlacement,
+  parseRequestDimensions,
+  resolveRoomScale,
+  sizeBoxToScale,
+  describeProductSize,
+  boxesOverlap,
+  resolveBundlePlacements
+};
@@ -0,0 +1,52 @@
+// lib/progress.js
+
+const { EventEmitter } = require("events");
+const { recordUsageStep } = require("./usage");
+
+// ================== PROGRESO EN VIVO (SSE) ==================
+//
+// Cada paso del pipeline se publica por sessionId. Guardamos el historial
+// para que un navegador que se conecta tarde reciba lo que ya pasó.
+//
+
+const PROGRESS_HISTORY_TTL_MS = 10 * 60 * 1000;
+const TERMINAL_PROGRESS_STEPS = ["complete", "error"];
+
+const progressBus = new EventEmitter();
+progressBus.setMaxListeners(0);
+const progressHistory = new Map(); // sessionId -> [eventos]
+
+function emitProgress(sessionId, step, data = {}) {
+  if (!sessionId) return;
+
+  const event = { sessionId, step, ...data, at: new Date().toISOString() };
+  const history = progressHistory.get(sessionId) || [];
+  history.push(event);
+  progressHistory.set(sessionId, history);
+
+  progressBus.emit(sessionId, event);
+  recordUsageStep(sessionId, step);
+
+  if (TERMINAL_PROGRESS_STEPS.includes(step)) {
+    setTimeout(
+      () => progressHistory.delete(sessionId),
+      PROGRESS_HISTORY_TTL_MS
+    ).unref();
+  }
+}
+
+function writeSseEvent(res, event) {
+  const name = TERMINAL_PROGRESS_STEPS.includes(event.step)
+    ? event.step
+    : "step";
+  res.write(`event: ${name}\n`);
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+module.exports = {
+  TERMINAL_PROGRESS_STEPS,
+  progressBus,
+  progressHistory,
+  emitProgress,
+  writeSseEvent
+};
@@ -0,0 +1,69 @@
+// lib/prompts.js
+
+const { quoteCustomerText } = require("./validation");
+
+// ================== PROMPT PARA FLUX (ARQUITECTÓNICO V21) ==================
+
+// bundleNames: piezas adicionales del conjunto (además del producto principal)
+function buildFluxPrompt({ analysis, strategy, idea, bundleNames = [] }) {
+  const lightDir = analysis.lightDirection || "izquierda";
+
+  const basePrompt =
+    `OBJETIVO PRINCIPAL:\n` +
+    `${strategy.goal}\n\n` +
+    `ESCENA:\n` +
+    `- Habitación real estilo ${analysis.roomStyle || "minimalista"}.\n` +
+    `- Dirección de la luz: ${lightDir}.\n` +
+    `- Superficies detectadas: ${(analysis.mainSurfaces || []).join(", ") ||
+      "mesa de centro"}.\n\n` +
+    `REGLAS DE REALISMO (ULTRA NATURAL + IMPACTO CONTROLADO):\n` +
+    `1. ${strategy.supportRule}\n` +
+    `2. NO reemplaces la textura original de la mesa ni la alfombra: conserva vetas, tramas y reflejos existentes.\n` +
+    `3. No generes bloques planos ni parches blancos. Mantén el material original donde no haya máscara.\n` +
+    `4. ${strategy.perspectiveRule}\n` +
+    `5. Genera sombra de contacto suave y coherente con la luz (${lightDir}), para que se sienta con peso real.\n` +
+    `6. Ajusta color y brillo del objeto a la temperatura de color del ambiente, pero sin exagerar: foto de catálogo natural.\n` +
+    `7. Solo edita la zona blanca de la máscara, mantén intacto el resto del cuarto.\n\n` +
+    `ESTILO VISUAL (C + D):\n` +
+    `- Fotografía real de interiorismo de alto nivel.\n` +
+    `- Contraste moderado, tonos cálidos y aspecto natural.\n` +
+    `- El objeto debe tener presencia y protagonismo, pero siempre integrado, nunca como un sticker.\n\n` +
+    (idea && idea.trim().length > 0
+      ? `${quoteCustomerText("Preferencia del cliente", idea.trim())}.\n`
+      : "El cliente no dio instrucciones específicas. Mantén el objeto sobrio, elegante y aspiracional.\n");
+
+  const bundleBlock = bundleNames.length
+    ? "\nCONJUNTO (complete the look): en las zonas blancas hay " +
+      (bundleNames.length + 1) +
+      " piezas; integra también " +
+      bundleNames.join(", ") +
+      ". Cada pieza conserva su forma y color, sin fusionarse ni superponerse, con sombras coherentes entre sí.\n"
+    : "";
+
+  return basePrompt + strategy.behaviorBlock + bundleBlock;
+}
+
+// ================== COPY EMOCIONAL ==================
+
+function buildEmotionalCopy({ roomStyle, productName, idea }) {
+  const base = roomStyle || "tu espacio";
+
+  let msg = `Diseñamos esta propuesta pensando en ${base}.`;
+
+  if (productName) {
+    msg += ` Integramos ${productName} como pieza decorativa clave, buscando equilibrio entre serenidad y presencia visual.`;
+  }
+
+  if (idea && idea.trim().length > 0) {
+    msg += ` También tuvimos en cuenta tu idea: “${idea.trim()}”.`;
+  }
+
+  msg += ` Así puedes visualizar cómo se vería tu espacio antes de tomar la decisión final.`;
+
+  return msg;
+}
+
+module.exports = {
+  buildFluxPrompt,
+  buildEmotionalCopy
+};
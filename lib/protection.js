@@ -0,0 +1,243 @@
+// lib/protection.js
+
+const crypto = require("crypto");
+const { logStep } = require("./logging");
+const { sendError } = require("./errors");
+
+// ================== ORIGEN Y ADMIN ==================
+
+// Orígenes permitidos (tiendas): ALLOWED_ORIGINS="https://a.com,https://b.com".
+// Vacío = cualquier origen (compatibilidad con el comportamiento anterior).
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || "")
+  .split(",")
+  .map((o) => o.trim().replace(/\/$/, ""))
+  .filter(Boolean);
+
+function isAllowedOrigin(origin) {
+  return !ALLOWED_ORIGINS.length || ALLOWED_ORIGINS.includes(origin);
+}
+
+// Comparación de secretos en tiempo constante. Se comparan los SHA-256
+// (32 bytes siempre): con los strings, un carácter multibyte pasa el
+// chequeo de longitud y timingSafeEqual lanza (500 en vez de 401)
+function safeEqual(value, expected) {
+  const digest = (v) => crypto.createHash("sha256").update(String(v)).digest();
+  return crypto.timingSafeEqual(digest(value), digest(expected));
+}
+
+// Rutas /admin: token fijo en ADMIN_API_TOKEN (Authorization: Bearer ...)
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  const header = req.get("authorization") || "";
+  const token = header.replace(/^Bearer\s+/i, "");
+
+  const valid = !!expected && safeEqual(token, expected);
+
+  if (!valid) return sendError(res, "UNAUTHORIZED");
+  next();
+}
+
+// ================== PROTECCIÓN: ORIGEN, TOKEN Y LÍMITES ==================
+//
+// Las rutas públicas que disparan trabajo de IA pasan por:
+//   1) requireAllowedOrigin: Origin en ALLOWED_ORIGINS (si está configurado)
+//   2) limitByIp: ráfagas por IP (antes de leer el upload)
+//   3) verifyThemeToken: token firmado por el theme (si THEME_TOKEN_SECRET)
+//   4) limitByVisitor: ráfagas por visitante/cliente
+//   5) consumeQuota (dentro de la ruta, tras validar la entrada): cuota
+//      diaria de ejecuciones de FLUX (generaciones y reposiciones); lo
+//      servido desde caché se devuelve
+//
+// Token del theme: base64url(JSON { v: visitorId, c?: customerId, exp })
+// + "." + HMAC-SHA256 hex del payload con THEME_TOKEN_SECRET. Llega en el
+// header X-Innotiva-Token o en el campo "token" del body.
+// Sin secreto configurado no hay visitante verificado: límites y cuota van
+// por IP (un visitorId del body se puede inventar en cada petición).
+//
+// Los contadores viven en memoria: uno por app (createProtection).
+//
+
+const THEME_TOKEN_SECRET = process.env.THEME_TOKEN_SECRET || "";
+const RATE_LIMIT_WINDOW_MS = Number(
+  process.env.RATE_LIMIT_WINDOW_MS || 60000
+);
+const RATE_LIMIT_PER_IP = Number(process.env.RATE_LIMIT_PER_IP || 20);
+const RATE_LIMIT_PER_VISITOR = Number(
+  process.env.RATE_LIMIT_PER_VISITOR || 6
+);
+const DAILY_GENERATION_QUOTA = Number(
+  process.env.DAILY_GENERATION_QUOTA || 15
+);
+const DAILY_CUSTOMER_GENERATION_QUOTA = Number(
+  process.env.DAILY_CUSTOMER_GENERATION_QUOTA || 40
+);
+
+// Contadores por clave con reinicio fijo (ventana o fin del día UTC)
+function createCounterLimiter({ max, resetAt }) {
+  const counters = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, 60000).unref();
+
+  return {
+    // units: cuánto gasta la petición (p. ej. una generación con N
+    // variantes). Si no cabe entera no gasta nada
+    hit(key, units = 1) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: resetAt(now) };
+        counters.set(key, counter);
+      }
+      const allowed = counter.count + units <= max;
+      if (allowed) counter.count += units;
+      return { allowed, retryAfterMs: counter.resetAt - now };
+    },
+    // Devuelve lo gastado (p. ej. una generación servida desde caché)
+    release(key, units = 1) {
+      const counter = counters.get(key);
+      if (counter) counter.count = Math.max(0, counter.count - units);
+    }
+  };
+}
+
+const windowReset = (now) => now + RATE_LIMIT_WINDOW_MS;
+const endOfDayUtc = (now) => {
+  const tomorrow = new Date(now);
+  tomorrow.setUTCHours(24, 0, 0, 0);
+  return tomorrow.getTime();
+};
+
+// Devuelve { visitorId, customerId, exp } o null si la firma/expiración falla
+function verifyThemeTokenValue(token) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature) return null;
+
+  const expected = crypto
+    .createHmac("sha256", THEME_TOKEN_SECRET)
+    .update(payload)
+    .digest("hex");
+  if (!safeEqual(signature, expected)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (e) {
+    return null;
+  }
+  if (!data || !data.v || !(Number(data.exp) * 1000 > Date.now())) return null;
+
+  return {
+    visitorId: String(data.v),
+    customerId: data.c ? String(data.c) : null,
+    exp: Number(data.exp)
+  };
+}
+
+// Clave del visitante: cliente de Shopify > visitante del theme > IP (solo
+// cuenta lo que venga de un token verificado)
+function visitorKey(req) {
+  const { visitorId, customerId } = req.visitor || {};
+  if (customerId) return `customer:${customerId}`;
+  if (visitorId) return `visitor:${visitorId}`;
+  return `ip:${req.ip}`;
+}
+
+function sendRateLimited(res, code, retryAfterMs) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set("Retry-After", String(retryAfter));
+  return sendError(res, code, { retry_after: retryAfter });
+}
+
+function requireAllowedOrigin(req, res, next) {
+  const origin = req.get("origin");
+  if (origin && !isAllowedOrigin(origin)) {
+    return sendError(res, "ORIGIN_NOT_ALLOWED");
+  }
+  next();
+}
+
+// Limitadores y middlewares de una app (contadores propios)
+function createProtection() {
+  const ipLimiter = createCounterLimiter({
+    max: RATE_LIMIT_PER_IP,
+    resetAt: windowReset
+  });
+  const visitorLimiter = createCounterLimiter({
+    max: RATE_LIMIT_PER_VISITOR,
+    resetAt: windowReset
+  });
+  const visitorQuota = createCounterLimiter({
+    max: DAILY_GENERATION_QUOTA,
+    resetAt: endOfDayUtc
+  });
+  const customerQuota = createCounterLimiter({
+    max: DAILY_CUSTOMER_GENERATION_QUOTA,
+    resetAt: endOfDayUtc
+  });
+
+  function limitByIp(req, res, next) {
+    const { allowed, retryAfterMs } = ipLimiter.hit(req.ip);
+    if (!allowed) return sendRateLimited(res, "RATE_LIMITED", retryAfterMs);
+    next();
+  }
+
+  // Deja en req.visitor quién hace la petición (para límites y cuotas)
+  function verifyThemeToken(req, res, next) {
+    const body = req.body || {};
+
+    if (!THEME_TOKEN_SECRET) {
+      req.visitor = null; // límites y cuota por IP
+      return next();
+    }
+
+    const visitor = verifyThemeTokenValue(
+      req.get("x-innotiva-token") || body.token
+    );
+    if (!visitor) return sendError(res, "INVALID_THEME_TOKEN");
+    req.visitor = visitor;
+    next();
+  }
+
+  function limitByVisitor(req, res, next) {
+    const burst = visitorLimiter.hit(visitorKey(req));
+    if (!burst.allowed) {
+      return sendRateLimited(res, "RATE_LIMITED", burst.retryAfterMs);
+    }
+    next();
+  }
+
+  // Cuota diaria: la ruta la consume cuando la entrada ya es válida, una
+  // unidad por ejecución de FLUX (units = variantes pedidas).
+  // Devuelve { allowed, retryAfterMs, release }; release() la devuelve si
+  // la generación salió de la caché (o se sumó a una idéntica en curso)
+  function consumeQuota(req, units = 1) {
+    const key = visitorKey(req);
+    const limiter = key.startsWith("customer:") ? customerQuota : visitorQuota;
+    const daily = limiter.hit(key, units);
+    if (!daily.allowed) logStep("Cuota diaria agotada", { key, units });
+    return { ...daily, release: () => limiter.release(key, units) };
+  }
+
+  return {
+    requireAllowedOrigin,
+    limitByIp,
+    verifyThemeToken,
+    limitByVisitor,
+    consumeQuota
+  };
+}
+
+module.exports = {
+  ALLOWED_ORIGINS,
+  isAllowedOrigin,
+  safeEqual,
+  requireAdmin,
+  sendRateLimited,
+  verifyThemeTokenValue,
+  createProtection
+};
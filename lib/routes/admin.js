@@ -0,0 +1,231 @@
+// lib/routes/admin.js
+
+const { sendError, sendRouteError } = require("../errors");
+const { requireAdmin } = require("../protection");
+const { USAGE_PRICES } = require("../usage");
+
+// ================== ADMIN: USO Y COSTES ==================
+//
+// GET /admin/usage?from=YYYY-MM-DD&to=YYYY-MM-DD[&format=csv]
+// Agregados diarios por tienda (por defecto, los últimos 30 días).
+// Una sesión "convierte" si se creó un carrito desde ella en el rango.
+//
+
+const USAGE_CSV_COLUMNS = [
+  "date",
+  "shop",
+  "requests",
+  "generations",
+  "renders",
+  "cached",
+  "repositions",
+  "carts",
+  "errors",
+  "openai_input_tokens",
+  "openai_output_tokens",
+  "replicate_predict_time_s",
+  "cloudinary_bytes",
+  "vision_analyses",
+  "vision_retries",
+  "vision_fallbacks",
+  "vision_defaulted_fields",
+  "cost_usd",
+  "cost_per_render_usd",
+  "converting_sessions",
+  "cost_per_converting_session_usd"
+];
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function roundUsd(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function aggregateUsage(entries, keyOf) {
+  const converting = new Set(
+    entries
+      .filter((e) => e.kind === "cart" && e.status === "ok" && e.session_id)
+      .map((e) => e.session_id)
+  );
+  const rows = new Map();
+
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!rows.has(key)) {
+      rows.set(key, {
+        date: entry.started_at.slice(0, 10),
+        shop: entry.shop,
+        requests: 0,
+        generations: 0,
+        renders: 0,
+        cached: 0,
+        repositions: 0,
+        carts: 0,
+        errors: 0,
+        openai_input_tokens: 0,
+        openai_output_tokens: 0,
+        replicate_predict_time_s: 0,
+        cloudinary_bytes: 0,
+        vision_analyses: 0,
+        vision_retries: 0,
+        vision_fallbacks: 0,
+        vision_defaulted_fields: 0,
+        vision_defaulted: {}, // por campo; solo en JSON
+        cost_usd: 0,
+        converting: new Set(),
+        converting_cost_usd: 0
+      });
+    }
+
+    const row = rows.get(key);
+    row.requests++;
+    if (entry.kind === "generation") row.generations++;
+    if (entry.kind === "generation" && entry.status === "ok") row.renders++;
+    if (entry.status === "cached" || entry.status === "coalesced") {
+      row.cached++;
+    }
+    if (entry.kind === "reposition") row.repositions++;
+    if (entry.kind === "cart") row.carts++;
+    if (entry.status === "error") row.errors++;
+    row.openai_input_tokens += entry.openai.input_tokens;
+    row.openai_output_tokens += entry.openai.output_tokens;
+    row.replicate_predict_time_s += entry.replicate.predict_time_s;
+    row.cloudinary_bytes += entry.cloudinary.bytes;
+    if (entry.vision) {
+      row.vision_analyses += entry.vision.analyses;
+      row.vision_retries += entry.vision.retries;
+      row.vision_fallbacks += entry.vision.fallbacks;
+      for (const [path, count] of Object.entries(entry.vision.defaulted)) {
+        row.vision_defaulted_fields += count;
+        row.vision_defaulted[path] = (row.vision_defaulted[path] || 0) + count;
+      }
+    }
+    row.cost_usd += entry.cost_usd;
+    if (converting.has(entry.session_id)) {
+      row.converting.add(entry.session_id);
+      row.converting_cost_usd += entry.cost_usd;
+    }
+  }
+
+  return [...rows.values()].map(
+    ({ converting, converting_cost_usd: convertingCost, ...row }) => ({
+      ...row,
+      replicate_predict_time_s:
+        Math.round(row.replicate_predict_time_s * 100) / 100,
+      cost_usd: roundUsd(row.cost_usd),
+      cost_per_render_usd: row.renders
+        ? roundUsd(row.cost_usd / row.renders)
+        : null,
+      converting_sessions: converting.size,
+      cost_per_converting_session_usd: converting.size
+        ? roundUsd(convertingCost / converting.size)
+        : null
+    })
+  );
+}
+
+// Un texto que empieza por = + - @ (o tabulador/retorno) se abre como
+// fórmula en Excel/Sheets: se antepone ' para que quede como texto
+function csvValue(value) {
+  if (value == null) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ================== ADMIN: RECORTES ==================
+//
+// POST /admin/cutouts/:productId
+//   {}                       -> regenera el recorte de la imagen principal
+//   { imageUrl }             -> regenera para esa imagen
+//   { cutoutUrl }            -> fija ese PNG como recorte (override manual)
+//
+function registerAdminRoutes(app, { shopify, cutouts, stores }) {
+  const { fetchProductFromShopify } = shopify;
+
+  app.post("/admin/cutouts/:productId", requireAdmin, async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const { cutoutUrl } = req.body || {};
+      let { imageUrl } = req.body || {};
+
+      if (!imageUrl) {
+        const product = await fetchProductFromShopify(productId);
+        imageUrl = product.featuredImage;
+      }
+
+      if (!imageUrl) return sendError(res, "PRODUCT_NO_IMAGE");
+
+      const cutout = await cutouts.getProductCutout({
+        productId,
+        imageUrl,
+        force: true,
+        overrideUrl: cutoutUrl || null
+      });
+
+      return res.json({
+        ok: true,
+        product_id: productId,
+        image_url: imageUrl,
+        cutout_url: cutout.url,
+        public_id: cutout.publicId,
+        source: cutoutUrl ? "override" : cutouts.segmenter.name
+      });
+    } catch (err) {
+      return sendRouteError(res, "Error regenerando recorte", err);
+    }
+  });
+
+  app.get("/admin/usage", requireAdmin, async (req, res) => {
+    try {
+      const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+      const to = dayPattern.test(req.query.to)
+        ? req.query.to
+        : isoDay(new Date());
+      const from = dayPattern.test(req.query.from)
+        ? req.query.from
+        : isoDay(new Date(Date.parse(to) - 29 * 24 * 60 * 60 * 1000));
+
+      const entries = await stores.usage.list(from, to);
+      const days = aggregateUsage(
+        entries,
+        (e) => `${e.started_at.slice(0, 10)}|${e.shop}`
+      ).sort((a, b) => a.date.localeCompare(b.date));
+      const [totals = null] = aggregateUsage(entries, () => "total").map(
+        ({ date, shop, ...row }) => row
+      );
+
+      if (req.query.format === "csv") {
+        const csv = [
+          USAGE_CSV_COLUMNS.join(","),
+          ...days.map((row) =>
+            USAGE_CSV_COLUMNS.map((col) => csvValue(row[col])).join(",")
+          )
+        ].join("\n");
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="innotiva-usage-${from}-${to}.csv"`
+        );
+        return res.send(csv + "\n");
+      }
+
+      return res.json({
+        ok: true,
+        from,
+        to,
+        prices: USAGE_PRICES,
+        totals,
+        days
+      });
+    } catch (err) {
+      return sendRouteError(res, "Error leyendo el uso", err);
+    }
+  });
+}
+
+module.exports = { registerAdminRoutes, aggregateUsage, csvValue };
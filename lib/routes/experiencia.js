@@ -0,0 +1,199 @@
+// lib/routes/experiencia.js
+
+const crypto = require("crypto");
+const { logStep } = require("../logging");
+const { sendError, sendRouteError } = require("../errors");
+const { isUuid } = require("../helpers");
+const { sendRateLimited } = require("../protection");
+const {
+  TERMINAL_PROGRESS_STEPS,
+  progressBus,
+  progressHistory,
+  writeSseEvent
+} = require("../progress");
+const {
+  uploadRoomImage,
+  sendValidationError,
+  sanitizeCustomerBody,
+  validateExperienciaPremiumInput
+} = require("../validation");
+const { abortSignalForResponse } = require("../inpainting");
+const { parseVariantCount } = require("../variants");
+const {
+  loadJob,
+  serializeJob,
+  isValidCallbackUrl,
+  jobCallbacksEnabled,
+  enqueueJob
+} = require("../jobs");
+
+// ================== ENDPOINT PRINCIPAL ==================
+//
+// POST /experiencia-premium (síncrono o job), estado del job y SSE
+function registerExperienciaRoutes(app, { protection, pipeline }) {
+  const {
+    requireAllowedOrigin,
+    limitByIp,
+    verifyThemeToken,
+    limitByVisitor,
+    consumeQuota
+  } = protection;
+  const { runExperienciaPremium } = pipeline;
+
+  app.post(
+    "/experiencia-premium",
+    requireAllowedOrigin,
+    limitByIp,
+    // ⚠️ se respeta el nombre ORIGINAL del campo (roomImage)
+    uploadRoomImage,
+    verifyThemeToken,
+    limitByVisitor,
+    async (req, res) => {
+      try {
+        logStep("Nueva experiencia-premium recibida");
+
+        const file = req.file;
+        const { callbackUrl } = req.body;
+        // La sesión la crea siempre el servidor. El sessionId que mande el
+        // cliente (para abrir el SSE antes del POST) solo nombra el canal
+        // de progreso: nunca una sesión existente
+        const sessionId = crypto.randomUUID();
+        const progressId = isUuid(req.body.sessionId)
+          ? req.body.sessionId
+          : sessionId;
+        const asyncMode =
+          req.body.mode === "async" || req.query.mode === "async";
+
+        const invalidFields = await validateExperienciaPremiumInput(req);
+        if (asyncMode && callbackUrl && !jobCallbacksEnabled()) {
+          invalidFields.push({
+            field: "callbackUrl",
+            message: "Los callbacks no están habilitados en este servidor."
+          });
+        } else if (
+          asyncMode &&
+          callbackUrl &&
+          !isValidCallbackUrl(callbackUrl)
+        ) {
+          invalidFields.push({
+            field: "callbackUrl",
+            message: "El callbackUrl debe ser una URL https pública."
+          });
+        }
+        if (invalidFields.length) {
+          return sendValidationError(res, invalidFields);
+        }
+
+        // La cuota solo cuenta peticiones válidas (una unidad por variante)
+        // y se devuelve si el resultado sale de la caché
+        const quota = consumeQuota(req, parseVariantCount(req.body));
+        if (!quota.allowed) {
+          return sendRateLimited(
+            res,
+            "DAILY_QUOTA_EXCEEDED",
+            quota.retryAfterMs
+          );
+        }
+        const run = async (options) => {
+          const result = await runExperienciaPremium(options);
+          if (result.cached || result.coalesced) quota.release();
+          return result;
+        };
+
+        const body = sanitizeCustomerBody(req.body);
+
+        if (asyncMode) {
+          const job = enqueueJob({
+            run,
+            file,
+            body,
+            sessionId,
+            progressId,
+            callbackUrl
+          });
+          return res.status(202).json({
+            ok: true,
+            status: "queued",
+            jobId: job.id,
+            sessionId,
+            status_url: `/experiencia-premium/jobs/${job.id}`,
+            events_url: `/experiencia-premium/${progressId}/events`,
+            created_at: job.created_at
+          });
+        }
+
+        const result = await run({
+          file,
+          body,
+          sessionId,
+          progressId,
+          signal: abortSignalForResponse(res)
+        });
+        return res.status(200).json(result);
+      } catch (err) {
+        return sendRouteError(res, "Error en /experiencia-premium", err);
+      }
+    }
+  );
+
+  app.get(
+    "/experiencia-premium/jobs/:id",
+    requireAllowedOrigin,
+    limitByIp,
+    async (req, res) => {
+      try {
+        const job = await loadJob(req.params.id);
+
+        if (!job) return sendError(res, "JOB_NOT_FOUND");
+
+        return res.json(serializeJob(job));
+      } catch (err) {
+        return sendRouteError(res, "Error leyendo el job", err);
+      }
+    }
+  );
+
+  // ================== PROGRESO SSE ==================
+  //
+  // :sessionId es el canal de progreso: el sessionId que mandó el cliente
+  // en el POST o, si no mandó ninguno, el de la sesión creada
+  //
+
+  app.get("/experiencia-premium/:sessionId/events", (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!isUuid(sessionId)) {
+      return sendValidationError(res, [
+        { field: "sessionId", message: "El sessionId no es válido." }
+      ]);
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+
+    const history = progressHistory.get(sessionId) || [];
+    history.forEach((event) => writeSseEvent(res, event));
+    if (history.some((e) => TERMINAL_PROGRESS_STEPS.includes(e.step))) {
+      return res.end();
+    }
+
+    const onEvent = (event) => {
+      writeSseEvent(res, event);
+      if (TERMINAL_PROGRESS_STEPS.includes(event.step)) res.end();
+    };
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+
+    progressBus.on(sessionId, onEvent);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      progressBus.off(sessionId, onEvent);
+    });
+  });
+}
+
+module.exports = { registerExperienciaRoutes };
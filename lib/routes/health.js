@@ -0,0 +1,129 @@
+// lib/routes/health.js
+
+const fs = require("fs");
+const { log } = require("../logging");
+const { metrics } = require("../metrics");
+const { sendError } = require("../errors");
+const { INPAINT_PROVIDER } = require("../inpainting");
+const { CUTOUT_PROVIDER } = require("../cutout");
+const { SESSION_STORE, SESSIONS_DIR } = require("../sessions");
+const { USAGE_STORE, USAGE_DIR } = require("../usage");
+const { PIPELINE_VERSION, CACHE_STORE, CACHE_DIR } = require("../cache");
+const { JOBS_DIR } = require("../jobs");
+const { requireAdmin, safeEqual } = require("../protection");
+
+// ================== /health Y /metrics ==================
+//
+// GET /health        -> readiness: configuración completa y directorios de
+//                       datos escribibles (200) o no (503). Es público:
+//                       solo dice ok / no ok. No llama a ninguna API de pago.
+// GET /health/live   -> liveness: el proceso responde.
+// GET /admin/health  -> el mismo chequeo con el detalle (variables que
+//                       faltan, directorios, proveedores). Solo admin.
+// GET /metrics       -> formato de texto de Prometheus. Con METRICS_TOKEN
+//                       exige Authorization: Bearer <token>.
+//
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+
+function requiredEnvVars() {
+  const required = [
+    "OPENAI_API_KEY",
+    "CLOUDINARY_CLOUD_NAME",
+    "CLOUDINARY_API_KEY",
+    "CLOUDINARY_API_SECRET",
+    "SHOPIFY_STORE_DOMAIN",
+    "SHOPIFY_STOREFRONT_TOKEN"
+  ];
+  if (INPAINT_PROVIDER === "replicate" || CUTOUT_PROVIDER === "replicate") {
+    required.push("REPLICATE_API_TOKEN");
+  }
+  return required;
+}
+
+// Sin estas la app funciona, pero abierta (sin admin, token ni orígenes)
+const RECOMMENDED_ENV_VARS = [
+  "ADMIN_API_TOKEN",
+  "THEME_TOKEN_SECRET",
+  "ALLOWED_ORIGINS",
+  "JOB_WEBHOOK_SECRET"
+];
+
+async function dataDirChecks() {
+  const dirs = { jobs: JOBS_DIR };
+  if (SESSION_STORE === "file") dirs.sessions = SESSIONS_DIR;
+  if (CACHE_STORE === "file") dirs.cache = CACHE_DIR;
+  if (USAGE_STORE === "file") dirs.usage = USAGE_DIR;
+
+  const failed = [];
+  // Los directorios se crean al primer uso (p. ej. jobs): se crean aquí
+  // también para no marcar como roto uno que aún no se necesitó
+  for (const [name, dir] of Object.entries(dirs)) {
+    await fs.promises
+      .mkdir(dir, { recursive: true })
+      .then(() => fs.promises.access(dir, fs.constants.W_OK))
+      .catch(() => {
+        failed.push(name);
+      });
+  }
+  return failed;
+}
+
+async function readinessReport() {
+  const missing = requiredEnvVars().filter((name) => !process.env[name]);
+  const unwritable = await dataDirChecks();
+  return {
+    ok: !missing.length && !unwritable.length,
+    time: new Date().toISOString(),
+    pipeline_version: PIPELINE_VERSION,
+    providers: { inpainting: INPAINT_PROVIDER, cutout: CUTOUT_PROVIDER },
+    stores: {
+      sessions: SESSION_STORE,
+      cache: CACHE_STORE,
+      usage: USAGE_STORE
+    },
+    missing_env: missing,
+    unwritable_dirs: unwritable,
+    warnings: RECOMMENDED_ENV_VARS.filter((name) => !process.env[name])
+  };
+}
+
+function registerHealthRoutes(app) {
+  // El detalle va solo al log: en público delataría qué falta configurar
+  app.get("/health", async (req, res) => {
+    const report = await readinessReport();
+    if (!report.ok) {
+      log("warn", "Health: no listo", {
+        missing: report.missing_env,
+        unwritable: report.unwritable_dirs
+      });
+    }
+    return res
+      .status(report.ok ? 200 : 503)
+      .json({ ok: report.ok, time: report.time });
+  });
+
+  app.get("/admin/health", requireAdmin, async (req, res) => {
+    const report = await readinessReport();
+    return res.status(report.ok ? 200 : 503).json(report);
+  });
+
+  app.get("/health/live", (req, res) => {
+    res.json({ ok: true, uptime_s: Math.round(process.uptime()) });
+  });
+
+  app.get("/metrics", (req, res) => {
+    if (METRICS_TOKEN) {
+      const header = req.get("authorization") || "";
+      const token = header.replace(/^Bearer\s+/i, "");
+      if (!safeEqual(token, METRICS_TOKEN)) {
+        return sendError(res, "UNAUTHORIZED");
+      }
+    }
+
+    res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    return res.send(metrics.render());
+  });
+}
+
+module.exports = { registerHealthRoutes };
@@ -0,0 +1,375 @@
+// lib/routes/reposicion.js
+
+const crypto = require("crypto");
+const { logStep, logError } = require("../logging");
+const { timeStage } = require("../metrics");
+const { sendError, sendRouteError } = require("../errors");
+const { sendRateLimited } = require("../protection");
+const {
+  MAX_IDEA_LENGTH,
+  sanitizeCustomerText,
+  quoteCustomerText,
+  sendValidationError,
+  validateRepositionInput
+} = require("../validation");
+const { fetchImageDimensions, rescaleCoordinates } = require("../images");
+const {
+  selectShopifyVariant,
+  productImageForVariant,
+  productDimensionsForVariant,
+  variantSizeRatio,
+  serializeShopifyVariant
+} = require("../shopify");
+const {
+  PLACEMENT_STRATEGIES,
+  resolvePlacementStrategy
+} = require("../strategies");
+const { createMaskFromAnalysis } = require("../mask");
+const { composeProductOnRoom } = require("../compose");
+const { runInpainting, abortSignalForResponse } = require("../inpainting");
+const {
+  updateSession,
+  findSessionVersion,
+  currentSessionVersion
+} = require("../sessions");
+
+// ================== 🔥 RUTA REPOSICIÓN IA ESTABLE (V21) 🔥 ==================
+
+function registerReposicionRoutes(
+  app,
+  {
+    protection,
+    pipeline,
+    shopify,
+    uploads,
+    inpaintingProvider,
+    stores,
+    ledger
+  }
+) {
+  const {
+    requireAllowedOrigin,
+    limitByIp,
+    verifyThemeToken,
+    limitByVisitor,
+    consumeQuota
+  } = protection;
+  const { resolveProductImageUrl } = pipeline;
+  const { fetchProductFromShopify } = shopify;
+  const { uploadUrlToCloudinary } = uploads;
+  const { withRouteUsage } = ledger;
+  const sessionStore = stores.sessions;
+
+  app.post(
+    "/experiencia-premium-reposicion",
+    requireAllowedOrigin,
+    limitByIp,
+    verifyThemeToken,
+    limitByVisitor,
+    withRouteUsage("reposition", async (req, res) => {
+      try {
+        // x, y: click en tamaño real
+        const { sessionId, baseVersionId, x, y } = req.body;
+        let {
+          roomImage, // URL pública Cloudinary (antes)
+          ai_image_prev, // Imagen generada versión 1
+          productId,
+          width,
+          height, // Dimensiones originales de la imagen
+          idea,
+          variantId // opcional: cambiar a otra variante (color, tamaño...)
+        } = req.body;
+
+        const invalidFields = validateRepositionInput(req.body, {
+          width,
+          height
+        });
+        if (invalidFields.length) {
+          return sendValidationError(res, invalidFields);
+        }
+
+        // Con sessionId basta con el click: el resto sale de la sesión
+        // guardada. La base es baseVersionId (rama desde una versión
+        // anterior) o la actual.
+        let session = null;
+        let baseVersion = null;
+        if (sessionId) {
+          session = await sessionStore.get(sessionId);
+          if (!session) return sendError(res, "SESSION_NOT_FOUND");
+
+          baseVersion = baseVersionId
+            ? findSessionVersion(session, baseVersionId)
+            : currentSessionVersion(session);
+          if (!baseVersion) return sendError(res, "VERSION_NOT_FOUND");
+
+          roomImage = roomImage || session.room.url;
+          ai_image_prev = baseVersion.image_url;
+          productId = productId || session.product.id;
+          width = width || session.room.width || session.analysis.imageWidth;
+          height =
+            height || session.room.height || session.analysis.imageHeight;
+          idea = idea || session.idea;
+
+          // Con el tamaño de la sesión, el click también tiene que caer
+          // dentro
+          const clickFields = validateRepositionInput(
+            { x, y },
+            { width, height }
+          );
+          if (clickFields.length) {
+            return sendValidationError(res, clickFields);
+          }
+        }
+        idea = sanitizeCustomerText(idea, MAX_IDEA_LENGTH);
+
+        if (
+          !roomImage ||
+          !productId ||
+          x == null ||
+          y == null ||
+          !width ||
+          !height
+        ) {
+          return sendValidationError(res, [
+            {
+              field: "sessionId",
+              message:
+                "⚠ Faltan datos para reposición IA (sessionId o roomImage / productId / x / y / width / height)"
+            }
+          ]);
+        }
+
+        // Cada reposición es una ejecución de FLUX: cuenta en la misma
+        // cuota diaria que /experiencia-premium
+        const quota = consumeQuota(req);
+        if (!quota.allowed) {
+          return sendRateLimited(
+            res,
+            "DAILY_QUOTA_EXCEEDED",
+            quota.retryAfterMs
+          );
+        }
+
+        logStep("♻ Reposición manual iniciada", { x, y, width, height });
+
+        let imageToUse =
+          ai_image_prev && ai_image_prev !== "" ? ai_image_prev : roomImage;
+
+        let productTypeHint = "objeto decorativo";
+        let shopifyProductType = "";
+        let shopifyProduct = null;
+        try {
+          shopifyProduct = await fetchProductFromShopify(productId);
+          shopifyProductType = shopifyProduct.productType || "";
+          productTypeHint = shopifyProduct.productType || productTypeHint;
+        } catch (e) {
+          logError("No se pudo obtener productType en reposición", e);
+        }
+
+        // Variante: la pedida, o la que ya tenía la sesión
+        const previousVariantId =
+          session && session.product ? session.product.variant_id : null;
+        // Una variante ajena al producto sale como 400 INVALID_VARIANT
+        const variant = shopifyProduct
+          ? selectShopifyVariant(shopifyProduct, variantId || previousVariantId)
+          : null;
+        if (variant && variant.title !== "Default Title") {
+          productTypeHint += ` (${variant.title})`;
+        }
+
+        // La sesión ya sabe qué estrategia se usó en la generación original
+        const strategy =
+          (session && PLACEMENT_STRATEGIES[session.analysis.strategy]) ||
+          resolvePlacementStrategy(
+            shopifyProductType,
+            session && session.analysis
+          );
+
+        // El click llega en el sistema width × height del cliente; la máscara
+        // tiene que medir lo mismo que la imagen base real (FLUX devuelve ~1MP)
+        const base = await fetchImageDimensions(imageToUse);
+        const click = rescaleCoordinates(
+          { x: Number(x), y: Number(y) },
+          Number(width),
+          Number(height),
+          base.width,
+          base.height
+        );
+
+        // Con sesión se conserva el tamaño ya resuelto del producto; si
+        // cambia la variante y ambas tienen medidas, se escala por la
+        // proporción real
+        let boxWidth = Math.floor(base.width * strategy.box.width);
+        let boxHeight = Math.floor(base.height * strategy.box.height);
+        const variantDimensions =
+          variant && shopifyProduct
+            ? productDimensionsForVariant(shopifyProduct, variant)
+            : null;
+        if (
+          session &&
+          session.placement &&
+          session.room &&
+          session.room.width
+        ) {
+          const sizeRatio = variantSizeRatio(
+            session.product && session.product.dimensions,
+            variantDimensions
+          );
+          const previous = rescaleCoordinates(
+            {
+              width: session.placement.width,
+              height: session.placement.height
+            },
+            session.room.width,
+            session.room.height,
+            base.width,
+            base.height
+          );
+          boxWidth = Math.floor(previous.width * sizeRatio);
+          boxHeight = Math.floor(previous.height * sizeRatio);
+        }
+        const x0 = Math.floor(click.x - boxWidth / 2);
+        const y0 = Math.floor(click.y - boxHeight / 2);
+
+        const placement = {
+          imageWidth: base.width,
+          imageHeight: base.height,
+          finalPlacement: {
+            x: x0,
+            y: y0,
+            width: boxWidth,
+            height: boxHeight
+          }
+        };
+
+        const maskBase64 = await createMaskFromAnalysis(placement, strategy);
+        logStep("🟡 Máscara nueva generada ✔", {
+          base,
+          x0,
+          y0,
+          boxWidth,
+          boxHeight,
+          strategy: strategy.key
+        });
+
+        // Cambio de variante: se compone su imagen real en la nueva caja para
+        // que FLUX integre ese color/tamaño en vez de inventarlo
+        if (variantId && variant && shopifyProduct) {
+          const variantImageUrl = await resolveProductImageUrl(
+            productId,
+            productImageForVariant(shopifyProduct, variant)
+          );
+          const baseImageUrl = imageToUse;
+          imageToUse = await timeStage("compose", () =>
+            composeProductOnRoom(uploads, {
+              roomImageUrl: baseImageUrl,
+              items: [
+                {
+                  productImageUrl: variantImageUrl,
+                  placement: placement.finalPlacement,
+                  shadow: strategy.compositeShadow
+                }
+              ],
+              roomWidth: base.width,
+              roomHeight: base.height,
+              lightDirection: session
+                ? session.analysis.lightDirection
+                : undefined
+            })
+          );
+        }
+
+        const miniPrompt =
+          "Reposiciona el " +
+          productTypeHint +
+          " sobre " +
+          strategy.surface +
+          " sin alterar el resto de la habitación.\n" +
+          "Respeta perspectiva, escala y sombras del entorno. No borres la textura de la mesa ni del suelo donde no haya máscara. Solo edita la zona blanca de la máscara.\n" +
+          "Estilo: fotografía natural de interiorismo de alto nivel, objeto con presencia pero totalmente integrado.\n" +
+          quoteCustomerText(
+            "Intención del cliente",
+            idea || "reposición manual"
+          );
+
+        const { outputUrl } = await runInpainting(
+          inpaintingProvider,
+          {
+            image: imageToUse,
+            mask: maskBase64,
+            prompt: miniPrompt,
+            guidance: strategy.reposition.guidance,
+            numInferenceSteps: strategy.reposition.numInferenceSteps,
+            outputFormat: "webp",
+            megapixels: "1"
+          },
+          { pollIntervalMs: 1800, signal: abortSignalForResponse(res) }
+        );
+
+        const upload = await timeStage("final_upload", () =>
+          uploadUrlToCloudinary(
+            outputUrl,
+            "innotiva/repositions",
+            "reposicion-v21"
+          )
+        );
+
+        logStep("🟢 Reposición IA finalizada ✔", {
+          url: upload.secure_url
+        });
+
+        const updatedAt = new Date().toISOString();
+        const versionId = session ? crypto.randomUUID() : null;
+
+        if (session) {
+          await updateSession(sessionStore, session.id, (s) => {
+            // session.placement se guarda siempre en el tamaño real del cuarto
+            s.placement = s.room.width
+              ? rescaleCoordinates(
+                  placement.finalPlacement,
+                  base.width,
+                  base.height,
+                  s.room.width,
+                  s.room.height
+                )
+              : placement.finalPlacement;
+            if (variant) {
+              s.product.variant_id = variant.id;
+              s.product.variant = serializeShopifyVariant(variant);
+              s.product.dimensions = variantDimensions;
+            }
+            s.current_version_id = versionId;
+            s.versions.push({
+              id: versionId,
+              parent_id: baseVersion.id,
+              kind: "reposition",
+              image_url: upload.secure_url,
+              public_id: upload.public_id,
+              base_used: imageToUse,
+              placement: placement.finalPlacement,
+              click: { x, y },
+              prompt: miniPrompt,
+              created_at: updatedAt
+            });
+          });
+        }
+
+        return res.json({
+          ok: true,
+          sessionId: session ? session.id : null,
+          versionId,
+          parentVersionId: baseVersion ? baseVersion.id : null,
+          ai_image: upload.secure_url,
+          base_used: imageToUse,
+          variant: serializeShopifyVariant(variant),
+          price: variant ? variant.price : null,
+          updated_at: updatedAt
+        });
+      } catch (e) {
+        return sendRouteError(res, "❌ Error en reposición IA", e);
+      }
+    })
+  );
+}
+
+module.exports = { registerReposicionRoutes };
@@ -0,0 +1,219 @@
+// lib/routes/sessions.js
+
+const { logStep, logError } = require("../logging");
+const { sendError, sendRouteError, errorCodeFor } = require("../errors");
+const { selectShopifyVariant } = require("../shopify");
+const { sendValidationError } = require("../validation");
+const {
+  updateSession,
+  findSessionVersion,
+  currentSessionVersion,
+  serializeSessionVersion
+} = require("../sessions");
+
+// ================== SESIONES (CONSULTA) ==================
+//
+// Todas las rutas de sesión pasan por el origen permitido y el límite por
+// IP, como la reposición: leer, revertir o comprar también cuesta.
+//
+
+const MAX_CART_QUANTITY = Number(process.env.MAX_CART_QUANTITY || 10);
+
+function registerSessionRoutes(
+  app,
+  { protection, shopify, uploads, stores, ledger }
+) {
+  const { requireAllowedOrigin, limitByIp } = protection;
+  const { fetchProductFromShopify, createShopifyCart } = shopify;
+  const { buildThumbnails } = uploads;
+  const { withRouteUsage } = ledger;
+  const sessionStore = stores.sessions;
+
+  app.get(
+    "/sessions/:sessionId",
+    requireAllowedOrigin,
+    limitByIp,
+    async (req, res) => {
+      try {
+        const session = await sessionStore.get(req.params.sessionId);
+
+        if (!session) return sendError(res, "SESSION_NOT_FOUND");
+
+        return res.json({ ok: true, session });
+      } catch (err) {
+        return sendRouteError(res, "Error leyendo sesión", err);
+      }
+    }
+  );
+
+  app.get(
+    "/sessions/:sessionId/versions",
+    requireAllowedOrigin,
+    limitByIp,
+    async (req, res) => {
+      try {
+        const session = await sessionStore.get(req.params.sessionId);
+
+        if (!session) return sendError(res, "SESSION_NOT_FOUND");
+
+        return res.json({
+          ok: true,
+          sessionId: session.id,
+          current_version_id: currentSessionVersion(session).id,
+          versions: session.versions.map((v) =>
+            serializeSessionVersion(session, v, buildThumbnails)
+          )
+        });
+      } catch (err) {
+        return sendRouteError(res, "Error listando versiones", err);
+      }
+    }
+  );
+
+  app.post(
+    "/sessions/:sessionId/versions/:versionId/revert",
+    requireAllowedOrigin,
+    limitByIp,
+    async (req, res) => {
+      try {
+        const { sessionId, versionId } = req.params;
+        const session = await updateSession(sessionStore, sessionId, (s) => {
+          if (!findSessionVersion(s, versionId)) return false;
+          s.current_version_id = versionId;
+        });
+        const version = session && findSessionVersion(session, versionId);
+
+        if (!version) {
+          return sendError(
+            res,
+            session ? "VERSION_NOT_FOUND" : "SESSION_NOT_FOUND"
+          );
+        }
+
+        logStep("↩ Sesión revertida", { sessionId, versionId });
+
+        return res.json({
+          ok: true,
+          sessionId,
+          current_version_id: versionId,
+          ai_image: version.image_url,
+          version: serializeSessionVersion(session, version, buildThumbnails)
+        });
+      } catch (err) {
+        return sendRouteError(res, "Error revirtiendo versión", err);
+      }
+    }
+  );
+
+  // ================== CARRITO / CHECKOUT ==================
+  //
+  // POST /sessions/:sessionId/cart  { quantity? }
+  // Crea un carrito con el producto (o las piezas del bundle) de la sesión,
+  // en la variante usada al generar, y devuelve el checkoutUrl.
+  // quantity: entero de 1 a MAX_CART_QUANTITY (por defecto 1).
+  //
+
+  // Variante (gid) de cada producto de la sesión. Las sesiones anteriores a
+  // las variantes no la guardaron: se usa la variante por defecto de Shopify.
+  async function sessionCartVariantIds(session) {
+    const products = session.products || [
+      { product_id: session.product.id, variant: session.product.variant }
+    ];
+
+    const ids = [];
+    for (const item of products) {
+      if (item.variant && item.variant.id) {
+        ids.push(item.variant.id);
+        continue;
+      }
+      const product = await fetchProductFromShopify(item.product_id);
+      const variant = selectShopifyVariant(product);
+      if (variant) ids.push(variant.id);
+    }
+    return ids;
+  }
+
+  app.post(
+    "/sessions/:sessionId/cart",
+    requireAllowedOrigin,
+    limitByIp,
+    withRouteUsage("cart", async (req, res) => {
+      try {
+        const rawQuantity = req.body.quantity;
+        const quantity =
+          rawQuantity == null || rawQuantity === "" ? 1 : Number(rawQuantity);
+        if (
+          !Number.isInteger(quantity) ||
+          quantity < 1 ||
+          quantity > MAX_CART_QUANTITY
+        ) {
+          return sendValidationError(res, [
+            {
+              field: "quantity",
+              message:
+                `quantity debe ser un entero entre 1 y ` +
+                `${MAX_CART_QUANTITY}.`
+            }
+          ]);
+        }
+
+        const session = await sessionStore.get(req.params.sessionId);
+
+        if (!session) return sendError(res, "SESSION_NOT_FOUND");
+        const variantIds = await sessionCartVariantIds(session);
+
+        if (!variantIds.length) return sendError(res, "PRODUCT_UNAVAILABLE");
+
+        const version = currentSessionVersion(session);
+        const cart = await createShopifyCart({
+          lines: variantIds.map((merchandiseId) => ({
+            merchandiseId,
+            quantity
+          })),
+          attributes: [
+            { key: "innotiva_session_id", value: session.id },
+            { key: "innotiva_version_id", value: version.id },
+            { key: "innotiva_ai_image", value: version.image_url }
+          ]
+        });
+
+        const createdAt = new Date().toISOString();
+        await updateSession(sessionStore, session.id, (s) => {
+          s.carts = s.carts || [];
+          s.carts.push({
+            id: cart.id,
+            checkout_url: cart.checkoutUrl,
+            version_id: version.id,
+            created_at: createdAt
+          });
+        });
+
+        logStep("🛒 Carrito creado", {
+          sessionId: session.id,
+          cartId: cart.id
+        });
+
+        return res.json({
+          ok: true,
+          sessionId: session.id,
+          cart_id: cart.id,
+          checkoutUrl: cart.checkoutUrl,
+          total_quantity: cart.totalQuantity,
+          total: cart.total,
+          ai_image: version.image_url
+        });
+      } catch (err) {
+        logError("Error creando carrito", err);
+        // Lo que no sea de Shopify (p. ej. el store de sesiones) sigue
+        // siendo 502
+        const code = errorCodeFor(err);
+        return sendError(
+          res,
+          code === "INTERNAL_ERROR" ? "CHECKOUT_FAILED" : code
+        );
+      }
+    })
+  );
+}
+
+module.exports = { registerSessionRoutes };
@@ -0,0 +1,132 @@
+// lib/sessions.js
+
+const fs = require("fs");
+const path = require("path");
+const { isUuid } = require("./helpers");
+
+// ================== SESIONES ==================
+//
+// Cada experiencia generada queda guardada con su cuarto, análisis,
+// placement, prompt y todas las versiones generadas. El store es
+// intercambiable (SESSION_STORE=file|memory); por defecto, un JSON por
+// sesión en SESSIONS_DIR.
+//
+
+const SESSION_STORE = process.env.SESSION_STORE || "file";
+const SESSIONS_DIR =
+  process.env.SESSIONS_DIR || path.join(__dirname, "..", "data", "sessions");
+
+function createMemorySessionStore() {
+  const sessions = new Map();
+
+  return {
+    async get(id) {
+      const session = sessions.get(id);
+      return session ? JSON.parse(JSON.stringify(session)) : null;
+    },
+    async save(session) {
+      sessions.set(session.id, JSON.parse(JSON.stringify(session)));
+      return session;
+    }
+  };
+}
+
+function createFileSessionStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = (id) => path.join(dir, `${id}.json`);
+
+  return {
+    async get(id) {
+      if (!isUuid(id)) return null;
+      try {
+        return JSON.parse(await fs.promises.readFile(filePath(id), "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async save(session) {
+      // Escritura atómica: tmp + rename
+      const tmp = `${filePath(session.id)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(session, null, 2));
+      await fs.promises.rename(tmp, filePath(session.id));
+      return session;
+    }
+  };
+}
+
+function createSessionStore(name) {
+  switch (name) {
+    case "memory":
+      return createMemorySessionStore();
+    case "file":
+      return createFileSessionStore(SESSIONS_DIR);
+    default:
+      throw new Error(`SESSION_STORE desconocido: ${name}`);
+  }
+}
+
+// Serializa las actualizaciones por sesión para no pisar versiones
+const sessionLocks = new Map();
+
+function updateSession(sessionStore, id, mutator) {
+  const previous = sessionLocks.get(id) || Promise.resolve();
+  const next = previous.then(async () => {
+    const session = await sessionStore.get(id);
+    if (!session) return null;
+    // El mutator puede devolver false para no guardar nada
+    if ((await mutator(session)) === false) return session;
+    session.updated_at = new Date().toISOString();
+    return sessionStore.save(session);
+  });
+
+  const settled = next.catch(() => {});
+  sessionLocks.set(id, settled);
+  settled.then(() => {
+    if (sessionLocks.get(id) === settled) sessionLocks.delete(id);
+  });
+
+  return next;
+}
+
+// ---- Historial de versiones ----
+//
+// versions es una lista ordenada con enlaces al padre:
+// original (cuarto) → generación → reposiciones. Cualquier versión puede
+// ser base de una nueva reposición (rama) y current_version_id marca la
+// que el cliente está viendo (revert = mover ese puntero).
+//
+
+function findSessionVersion(session, versionId) {
+  return (session.versions || []).find((v) => v.id === versionId) || null;
+}
+
+function currentSessionVersion(session) {
+  const versions = session.versions || [];
+  return (
+    findSessionVersion(session, session.current_version_id) ||
+    versions[versions.length - 1] ||
+    null
+  );
+}
+
+// buildThumbnails: el de los helpers de Cloudinary de la app
+function serializeSessionVersion(session, version, buildThumbnails) {
+  return {
+    ...version,
+    is_current: version.id === currentSessionVersion(session).id,
+    thumbnails: version.public_id ? buildThumbnails(version.public_id) : null
+  };
+}
+
+module.exports = {
+  SESSION_STORE,
+  SESSIONS_DIR,
+  createMemorySessionStore,
+  createFileSessionStore,
+  createSessionStore,
+  updateSession,
+  findSessionVersion,
+  currentSessionVersion,
+  serializeSessionVersion
+};
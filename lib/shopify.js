@@ -0,0 +1,395 @@
+// lib/shopify.js
+
+const { AppError } = require("./errors");
+const { log } = require("./logging");
+const { timeStage } = require("./metrics");
+const {
+  fetch,
+  buildShopifyProductGid,
+  buildShopifyVariantGid,
+  safeParseJSON
+} = require("./helpers");
+
+// ================== SHOPIFY HELPER ==================
+//
+// Medidas físicas: metafields <namespace>.width / height / depth en el
+// producto o en la variante (la variante manda). Pueden ser de tipo
+// "dimension" ({ "value": 40, "unit": "cm" }) o un número suelto en cm.
+//
+
+const SHOPIFY_STORE_DOMAIN = process.env.SHOPIFY_STORE_DOMAIN;
+const SHOPIFY_STOREFRONT_TOKEN = process.env.SHOPIFY_STOREFRONT_TOKEN;
+const SHOPIFY_TIMEOUT_MS = Number(process.env.SHOPIFY_TIMEOUT_MS || 10000);
+
+const SHOPIFY_DIMENSIONS_NAMESPACE =
+  process.env.SHOPIFY_DIMENSIONS_NAMESPACE || "custom";
+const SHOPIFY_DIMENSION_KEYS = ["width", "height", "depth"];
+const CM_PER_UNIT = { mm: 0.1, cm: 1, m: 100, in: 2.54, ft: 30.48, yd: 91.44 };
+
+const SHOPIFY_DIMENSION_METAFIELDS = `
+  metafields(identifiers: [${SHOPIFY_DIMENSION_KEYS.map(
+    (key) => `{ namespace: "${SHOPIFY_DIMENSIONS_NAMESPACE}", key: "${key}" }`
+  ).join(", ")}]) {
+    key
+    value
+  }
+`;
+
+const SHOPIFY_PRODUCT_FIELDS = `
+  id
+  title
+  handle
+  onlineStoreUrl
+  productType
+  description
+  featuredImage {
+    url
+  }
+  options {
+    name
+    values
+  }
+  ${SHOPIFY_DIMENSION_METAFIELDS}
+  variants(first: 100) {
+    nodes {
+      id
+      title
+      availableForSale
+      selectedOptions {
+        name
+        value
+      }
+      image {
+        url
+      }
+      price {
+        amount
+        currencyCode
+      }
+      compareAtPrice {
+        amount
+        currencyCode
+      }
+      ${SHOPIFY_DIMENSION_METAFIELDS}
+    }
+  }
+`;
+
+function parseDimensionCm(raw) {
+  const parsed =
+    typeof raw === "string" && raw.trim().startsWith("{")
+      ? safeParseJSON(raw, "metafield dimensión")
+      : { value: raw, unit: "cm" };
+  if (!parsed) return null;
+
+  const value = Number(parsed.value);
+  const factor = CM_PER_UNIT[String(parsed.unit || "cm").toLowerCase()];
+  if (!Number.isFinite(value) || value <= 0 || !factor) return null;
+  return Math.round(value * factor * 10) / 10;
+}
+
+// { width_cm, height_cm, depth_cm } o null si no hay ninguna medida
+function mapShopifyDimensions(metafields) {
+  const dimensions = {};
+  for (const field of metafields || []) {
+    if (!field || !SHOPIFY_DIMENSION_KEYS.includes(field.key)) continue;
+    const cm = parseDimensionCm(field.value);
+    if (cm) dimensions[`${field.key}_cm`] = cm;
+  }
+  return Object.keys(dimensions).length ? dimensions : null;
+}
+
+function mapShopifyMoney(money) {
+  return money
+    ? { amount: money.amount, currencyCode: money.currencyCode }
+    : null;
+}
+
+function mapShopifyVariant(v) {
+  return {
+    id: v.id,
+    title: v.title,
+    availableForSale: Boolean(v.availableForSale),
+    selectedOptions: v.selectedOptions || [],
+    image: v.image ? v.image.url : null,
+    price: mapShopifyMoney(v.price),
+    compareAtPrice: mapShopifyMoney(v.compareAtPrice),
+    dimensions: mapShopifyDimensions(v.metafields)
+  };
+}
+
+// storeDomain: para la URL del producto si no está publicado en la tienda
+function mapShopifyProduct(p, storeDomain) {
+  return {
+    id: p.id,
+    title: p.title,
+    productType: p.productType || "generic",
+    description: p.description || "",
+    featuredImage: p.featuredImage ? p.featuredImage.url : null,
+    url:
+      p.onlineStoreUrl ||
+      (p.handle ? `https://${storeDomain}/products/${p.handle}` : null),
+    options: p.options || [],
+    dimensions: mapShopifyDimensions(p.metafields),
+    variants: ((p.variants && p.variants.nodes) || []).map(mapShopifyVariant)
+  };
+}
+
+// Variante pedida (variantId numérico o gid) o, si no hay, la primera
+// disponible. Un variantId que no es del producto es un error del cliente.
+function selectShopifyVariant(product, variantId) {
+  if (!variantId) {
+    return (
+      product.variants.find((v) => v.availableForSale) ||
+      product.variants[0] ||
+      null
+    );
+  }
+
+  const gid = buildShopifyVariantGid(variantId);
+  const variant = product.variants.find((v) => v.id === gid);
+  if (!variant) {
+    throw new AppError(
+      "INVALID_VARIANT",
+      `La variante ${variantId} no pertenece a ${product.id}`
+    );
+  }
+  return variant;
+}
+
+// Imagen y medidas efectivas: lo de la variante pisa lo del producto
+function productImageForVariant(product, variant) {
+  return (variant && variant.image) || product.featuredImage;
+}
+
+function productDimensionsForVariant(product, variant) {
+  const dimensions = {
+    ...(product.dimensions || {}),
+    ...((variant && variant.dimensions) || {})
+  };
+  return Object.keys(dimensions).length ? dimensions : null;
+}
+
+// Proporción de tamaño real entre dos variantes (1 si no hay medidas)
+function variantSizeRatio(fromDimensions, toDimensions) {
+  if (!fromDimensions || !toDimensions) return 1;
+  for (const key of ["width_cm", "height_cm"]) {
+    if (fromDimensions[key] && toDimensions[key]) {
+      const ratio = toDimensions[key] / fromDimensions[key];
+      return Math.min(Math.max(ratio, 0.25), 4);
+    }
+  }
+  return 1;
+}
+
+// Para la respuesta (botón "añadir al carrito")
+function serializeShopifyVariant(variant) {
+  if (!variant) return null;
+  return {
+    id: variant.id,
+    title: variant.title,
+    selected_options: variant.selectedOptions,
+    available_for_sale: variant.availableForSale,
+    price: variant.price,
+    compare_at_price: variant.compareAtPrice,
+    image: variant.image,
+    dimensions: variant.dimensions
+  };
+}
+
+const DIMENSION_LABELS = { width: "ancho", height: "alto", depth: "fondo" };
+
+// "ancho 40 cm, alto 60 cm" (para prompts)
+function formatDimensions(dimensions) {
+  if (!dimensions) return "";
+  return SHOPIFY_DIMENSION_KEYS.filter((key) => dimensions[`${key}_cm`])
+    .map((key) => `${DIMENSION_LABELS[key]} ${dimensions[`${key}_cm`]} cm`)
+    .join(", ");
+}
+
+// Cliente de la Storefront API. endpoint permite apuntar a otro servidor
+// GraphQL (por defecto, el de la tienda).
+function createShopifyClient({
+  storeDomain = SHOPIFY_STORE_DOMAIN,
+  storefrontToken = SHOPIFY_STOREFRONT_TOKEN,
+  endpoint = `https://${storeDomain}/api/2024-01/graphql.json`,
+  timeoutMs = SHOPIFY_TIMEOUT_MS
+} = {}) {
+  // Red caída, timeout o respuesta no-JSON de Shopify -> UPSTREAM_*
+  async function shopifyGraphQL(query, variables) {
+    let response;
+    try {
+      response = await timeStage("shopify", () =>
+        fetch(endpoint, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-Shopify-Storefront-Access-Token": storefrontToken
+          },
+          body: JSON.stringify({ query, variables }),
+          signal: AbortSignal.timeout(timeoutMs)
+        })
+      );
+    } catch (err) {
+      // node-fetch 2 reporta el timeout de la señal como AbortError
+      const timedOut = ["AbortError", "TimeoutError"].includes(err.name);
+      throw new AppError(
+        timedOut ? "UPSTREAM_TIMEOUT" : "UPSTREAM_UNAVAILABLE",
+        `Shopify no respondió: ${err.message}`,
+        { upstream: "shopify" }
+      );
+    }
+
+    if (response.status >= 500 || response.status === 429) {
+      throw new AppError(
+        "UPSTREAM_UNAVAILABLE",
+        `Shopify respondió ${response.status}`,
+        { upstream: "shopify" }
+      );
+    }
+    return response.json().catch(() => {
+      throw new AppError(
+        "UPSTREAM_UNAVAILABLE",
+        "Shopify devolvió algo no JSON",
+        { upstream: "shopify" }
+      );
+    });
+  }
+
+  async function fetchProductFromShopify(productId) {
+    const gid = buildShopifyProductGid(productId);
+
+    const query = `
+      query GetProduct($id: ID!) {
+        product(id: $id) {
+          ${SHOPIFY_PRODUCT_FIELDS}
+        }
+      }
+    `;
+
+    const json = await shopifyGraphQL(query, { id: gid });
+
+    if (json.errors || !json.data) {
+      log("error", "Error Shopify GraphQL", { response: json });
+      throw new AppError(
+        "UPSTREAM_UNAVAILABLE",
+        "No se pudo obtener el producto desde Shopify",
+        { upstream: "shopify" }
+      );
+    }
+    if (!json.data.product) {
+      throw new AppError(
+        "PRODUCT_NOT_FOUND",
+        `El producto ${productId} no existe en Shopify`
+      );
+    }
+
+    return mapShopifyProduct(json.data.product, storeDomain);
+  }
+
+  // Varios productos en una sola consulta (bundles). Respeta el orden pedido.
+  async function fetchProductsFromShopify(productIds) {
+    const ids = productIds.map(buildShopifyProductGid);
+
+    const query = `
+      query GetProducts($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Product {
+            ${SHOPIFY_PRODUCT_FIELDS}
+          }
+        }
+      }
+    `;
+
+    const json = await shopifyGraphQL(query, { ids });
+    const nodes = (json.data && json.data.nodes) || [];
+
+    if (json.errors || nodes.length !== ids.length) {
+      log("error", "Error Shopify GraphQL", { response: json });
+      throw new AppError(
+        "UPSTREAM_UNAVAILABLE",
+        "No se pudieron obtener los productos desde Shopify",
+        { upstream: "shopify" }
+      );
+    }
+    const missing = productIds.filter((id, i) => !nodes[i] || !nodes[i].id);
+    if (missing.length) {
+      throw new AppError(
+        "PRODUCT_NOT_FOUND",
+        `Productos inexistentes en Shopify: ${missing.join(", ")}`
+      );
+    }
+
+    return nodes.map((node) => mapShopifyProduct(node, storeDomain));
+  }
+
+  // Carrito de Storefront con las variantes dadas; los atributos quedan en el
+  // pedido (Shopify admin) para saber qué render llevó a la compra.
+  // lines: [{ merchandiseId, quantity }]  attributes: [{ key, value }]
+  async function createShopifyCart({ lines, attributes }) {
+    const query = `
+      mutation CartCreate($input: CartInput!) {
+        cartCreate(input: $input) {
+          cart {
+            id
+            checkoutUrl
+            totalQuantity
+            cost {
+              totalAmount {
+                amount
+                currencyCode
+              }
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const json = await shopifyGraphQL(query, { input: { lines, attributes } });
+    const payload = json.data && json.data.cartCreate;
+
+    if (json.errors || !payload || !payload.cart) {
+      log("error", "Error Shopify cartCreate", { response: json });
+      const userError = payload && payload.userErrors && payload.userErrors[0];
+      throw new AppError(
+        "CHECKOUT_FAILED",
+        userError ? userError.message : "No se pudo crear el carrito en Shopify"
+      );
+    }
+
+    const { cart } = payload;
+    return {
+      id: cart.id,
+      checkoutUrl: cart.checkoutUrl,
+      totalQuantity: cart.totalQuantity,
+      total: mapShopifyMoney(cart.cost && cart.cost.totalAmount)
+    };
+  }
+
+  return {
+    storeDomain,
+    shopifyGraphQL,
+    fetchProductFromShopify,
+    fetchProductsFromShopify,
+    createShopifyCart
+  };
+}
+
+module.exports = {
+  SHOPIFY_STORE_DOMAIN,
+  SHOPIFY_DIMENSION_KEYS,
+  createShopifyClient,
+  parseDimensionCm,
+  mapShopifyDimensions,
+  mapShopifyProduct,
+  selectShopifyVariant,
+  productImageForVariant,
+  productDimensionsForVariant,
+  variantSizeRatio,
+  serializeShopifyVariant,
+  formatDimensions
+};
@@ -0,0 +1,183 @@
+// lib/strategies.js
+
+// ================== ESTRATEGIAS POR TIPO DE PRODUCTO ==================
+//
+// Cada tipo normalizado define dónde va el producto por defecto, cómo se
+// recorta la máscara, qué bloque de prompt usa FLUX y con qué parámetros.
+// Se elige por el productType de Shopify y, si no hay pista, por lo que
+// devolvió Vision en product.normalizedType.
+//
+// Las posiciones son fracciones de la imagen (x/y = esquina superior izq.).
+// scaleAnchor: desde dónde se redimensiona la caja cuando hay escala real
+// (medidas del producto + referencia del cuarto); null = no se redimensiona.
+//
+
+const PLACEMENT_STRATEGIES = {
+  objeto_mesa: {
+    key: "objeto_mesa",
+    label: "objeto decorativo sobre mesa",
+    visionTask:
+      "un OBJETO DECORATIVO SOBRE MESA o superficie similar (mesa de centro, consola, repisa)",
+    box: { width: 0.18, height: 0.16, x: "center", y: 0.58 },
+    ideaY: { up: 0.4, down: 0.68 },
+    maskPadding: { x: 0.1, top: 0.08, bottom: 0.3 }, // deja libre la base (mesa)
+    mask: { shape: "rounded", feather: 0.05, contactShadow: true },
+    compositeShadow: "contact",
+    scaleAnchor: "bottom",
+    surface: "una superficie coherente (mesa, consola o repisa)",
+    goal: "Integrar un objeto decorativo sobre mesa en la escena como si hubiera sido colocado físicamente en el espacio.",
+    supportRule:
+      "El objeto debe apoyarse sobre una mesa, consola o repisa REAL de la foto.",
+    perspectiveRule:
+      "Respeta perspectiva y líneas de fuga; el objeto debe alinearse con el plano de la mesa.",
+    behaviorBlock:
+      "\nFOCO D1: Objeto decorativo sobre mesa (jarrón, escultura, cuadro apoyado, centro de mesa, etc.).\n" +
+      "• Escala proporcional al resto del mobiliario.\n" +
+      "• Fusión natural con la escena; que nunca parezca pegado encima.\n",
+    generation: { guidance: 5.4, numInferenceSteps: 34 },
+    reposition: { guidance: 5.0, numInferenceSteps: 24 }
+  },
+
+  cuadro: {
+    key: "cuadro",
+    label: "cuadro o arte de pared",
+    visionTask:
+      "un CUADRO o ARTE DE PARED colgado en una pared libre, a la altura de los ojos",
+    box: { width: 0.24, height: 0.28, x: "center", y: 0.16 },
+    ideaY: { up: 0.08, down: 0.28 },
+    maskPadding: { x: 0.04, top: 0.04, bottom: 0.04 },
+    mask: { shape: "rect", feather: 0.02, contactShadow: false },
+    compositeShadow: "drop",
+    scaleAnchor: "center",
+    surface: "una pared libre, a la altura de los ojos",
+    goal: "Colgar un cuadro en una pared real de la escena como si estuviera instalado físicamente.",
+    supportRule:
+      "El cuadro debe colgar de una pared REAL de la foto, sin tapar ventanas, puertas ni muebles altos.",
+    perspectiveRule:
+      "El marco debe quedar paralelo al plano de la pared y seguir sus líneas de fuga.",
+    behaviorBlock:
+      "\nFOCO D2: Arte de pared (cuadro, lámina, lienzo, espejo).\n" +
+      "• Centro del cuadro a la altura de los ojos, alineado con el mueble que tenga debajo.\n" +
+      "• Sombra sutil del marco sobre la pared; nunca flotando.\n",
+    generation: { guidance: 5.0, numInferenceSteps: 30 },
+    reposition: { guidance: 4.8, numInferenceSteps: 24 }
+  },
+
+  lampara: {
+    key: "lampara",
+    label: "lámpara de pie",
+    visionTask:
+      "una LÁMPARA DE PIE apoyada en el suelo, junto a un sofá, sillón o esquina",
+    box: { width: 0.12, height: 0.45, x: 0.72, y: 0.35 },
+    ideaY: { up: 0.3, down: 0.42 },
+    maskPadding: { x: 0.08, top: 0.04, bottom: 0.06 },
+    mask: { shape: "rounded", feather: 0.04, contactShadow: true },
+    compositeShadow: "contact",
+    scaleAnchor: "bottom",
+    surface: "el suelo, junto a un sofá, sillón o esquina",
+    goal: "Integrar una lámpara de pie en la escena como si estuviera de verdad en la habitación.",
+    supportRule:
+      "La base de la lámpara debe apoyarse sobre el suelo REAL de la foto.",
+    perspectiveRule:
+      "El poste debe quedar vertical respecto a las verticales de la habitación.",
+    behaviorBlock:
+      "\nFOCO D3: Lámpara de pie.\n" +
+      "• Altura coherente con sofás y mesas cercanas.\n" +
+      "• Sombra de la base en el suelo; luz apagada salvo que el cliente pida lo contrario.\n",
+    generation: { guidance: 5.2, numInferenceSteps: 34 },
+    reposition: { guidance: 5.0, numInferenceSteps: 26 }
+  },
+
+  alfombra: {
+    key: "alfombra",
+    label: "alfombra",
+    visionTask:
+      "una ALFOMBRA sobre el plano del suelo, frente al sofá o bajo la mesa de centro",
+    box: { width: 0.5, height: 0.2, x: "center", y: 0.72 },
+    ideaY: { up: 0.64, down: 0.78 },
+    maskPadding: { x: 0.02, top: 0.05, bottom: 0.02 },
+    mask: { shape: "rounded", feather: 0.03, contactShadow: false },
+    compositeShadow: "none",
+    scaleAnchor: null, // en el suelo manda la perspectiva, no se escala
+    surface: "el plano del suelo, frente al sofá o bajo la mesa de centro",
+    goal: "Colocar una alfombra sobre el suelo real de la escena, siguiendo su perspectiva.",
+    supportRule:
+      "La alfombra debe quedar plana sobre el suelo REAL; las patas de los muebles quedan encima, no tapadas.",
+    perspectiveRule:
+      "Los bordes deben seguir las líneas de fuga del suelo (trapecio en perspectiva, no rectángulo plano).",
+    behaviorBlock:
+      "\nFOCO D4: Alfombra.\n" +
+      "• Escala acorde al área de estar; no debe cubrir toda la habitación.\n" +
+      "• Textura y pelo visibles, con sombra suave bajo los muebles.\n",
+    generation: { guidance: 4.8, numInferenceSteps: 30 },
+    reposition: { guidance: 4.6, numInferenceSteps: 24 }
+  },
+
+  mueble: {
+    key: "mueble",
+    label: "mueble",
+    visionTask:
+      "un MUEBLE pequeño (mesa auxiliar, butaca, taburete) apoyado en el suelo",
+    box: { width: 0.22, height: 0.3, x: 0.66, y: 0.52 },
+    ideaY: { up: 0.46, down: 0.6 },
+    maskPadding: { x: 0.06, top: 0.06, bottom: 0.04 },
+    mask: { shape: "rounded", feather: 0.04, contactShadow: true },
+    compositeShadow: "contact",
+    scaleAnchor: "bottom",
+    surface: "el suelo, junto a otros muebles",
+    goal: "Integrar un mueble en la escena como si formara parte del mobiliario real.",
+    supportRule:
+      "Todas las patas o la base del mueble deben tocar el suelo REAL de la foto.",
+    perspectiveRule:
+      "El mueble debe seguir la perspectiva del suelo y alinearse con los muebles vecinos.",
+    behaviorBlock:
+      "\nFOCO D5: Mueble auxiliar.\n" +
+      "• Escala proporcional a sofás y mesas existentes.\n" +
+      "• Sombras de contacto en cada pata.\n",
+    generation: { guidance: 5.2, numInferenceSteps: 34 },
+    reposition: { guidance: 5.0, numInferenceSteps: 26 }
+  }
+};
+
+// Orden importa: "lámpara de mesa" es objeto_mesa, "mesa auxiliar" es mueble
+const PRODUCT_TYPE_KEYWORDS = [
+  ["alfombra", /alfombra|tapete|\brug\b|carpet/i],
+  ["cuadro", /cuadro|l[aá]mina|lienzo|canvas|p[oó]ster|poster|wall art|\bprint\b|espejo|mirror/i],
+  ["objeto_mesa", /(l[aá]mpara|lamp).*(mesa|table|escritorio|desk)/i],
+  ["lampara", /l[aá]mpara|\blamp\b|floor lamp|luminaria/i],
+  ["mueble", /mesa (auxiliar|lateral)|mesita|side table|mueble|silla|sill[oó]n|butaca|taburete|banco|aparador|furniture|chair|stool/i],
+  ["objeto_mesa", /jarr[oó]n|florero|vase|escultura|sculpture|vela|candle|bandeja|tray|centro de mesa/i]
+];
+
+function strategyFromProductType(productType = "") {
+  const match = PRODUCT_TYPE_KEYWORDS.find(([, re]) => re.test(productType));
+  return match ? PLACEMENT_STRATEGIES[match[0]] : null;
+}
+
+function resolvePlacementStrategy(productType, analysis) {
+  const fromShopify = strategyFromProductType(productType);
+  if (fromShopify) return fromShopify;
+
+  const visionType = analysis?.product?.normalizedType;
+  return PLACEMENT_STRATEGIES[visionType] || PLACEMENT_STRATEGIES.objeto_mesa;
+}
+
+// Caja por defecto de la estrategia, en píxeles
+function strategyDefaultBox(strategy, imageWidth, imageHeight) {
+  const width = Math.round(imageWidth * strategy.box.width);
+  const height = Math.round(imageHeight * strategy.box.height);
+  const x =
+    strategy.box.x === "center"
+      ? Math.round((imageWidth - width) / 2)
+      : Math.round(imageWidth * strategy.box.x);
+  const y = Math.round(imageHeight * strategy.box.y);
+  return { x, y, width, height };
+}
+
+module.exports = {
+  PLACEMENT_STRATEGIES,
+  PRODUCT_TYPE_KEYWORDS,
+  strategyFromProductType,
+  resolvePlacementStrategy,
+  strategyDefaultBox
+};
@@ -0,0 +1,213 @@
+// lib/usage.js
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { usageContext } = require("./context");
+const { logError } = require("./logging");
+const { workTotal, workCost } = require("./metrics");
+const { safeParseJSON } = require("./helpers");
+const { SESSION_STORE } = require("./sessions");
+
+// ================== USO Y COSTES ==================
+//
+// Cada petición (generación, reposición, carrito) abre una entrada en el
+// ledger. Los helpers de OpenAI, Replicate y Cloudinary suman su consumo a
+// la entrada activa (AsyncLocalStorage), sin tener que pasarla por
+// parámetro. Al terminar se calcula el coste estimado y se agrega una línea
+// al JSONL del día en USAGE_DIR.
+//
+// Precios (USD, configurables): OpenAI por millón de tokens, Replicate por
+// segundo de predict_time, Cloudinary por GB subido.
+//
+
+const USAGE_STORE = process.env.USAGE_STORE || SESSION_STORE;
+const USAGE_DIR =
+  process.env.USAGE_DIR || path.join(__dirname, "..", "data", "usage");
+const USAGE_PRICES = {
+  openaiInputPerMTok: Number(process.env.PRICE_OPENAI_INPUT_MTOK || 0.4),
+  openaiOutputPerMTok: Number(process.env.PRICE_OPENAI_OUTPUT_MTOK || 1.6),
+  replicatePerSecond: Number(process.env.PRICE_REPLICATE_SECOND || 0.0014),
+  cloudinaryPerGb: Number(process.env.PRICE_CLOUDINARY_GB || 0.1)
+};
+
+function createMemoryUsageStore() {
+  const entries = [];
+
+  return {
+    async append(entry) {
+      entries.push(entry);
+    },
+    async list(fromDay, toDay) {
+      return entries.filter((e) => {
+        const day = e.started_at.slice(0, 10);
+        return day >= fromDay && day <= toDay;
+      });
+    }
+  };
+}
+
+// Un JSONL por día: append barato y lectura por rango de fechas
+function createFileUsageStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = (day) => path.join(dir, `${day}.jsonl`);
+
+  return {
+    async append(entry) {
+      await fs.promises.appendFile(
+        filePath(entry.started_at.slice(0, 10)),
+        JSON.stringify(entry) + "\n"
+      );
+    },
+    async list(fromDay, toDay) {
+      const files = (await fs.promises.readdir(dir))
+        .filter((f) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(f))
+        .filter((f) => f.slice(0, 10) >= fromDay && f.slice(0, 10) <= toDay)
+        .sort();
+
+      const entries = [];
+      for (const file of files) {
+        const raw = await fs.promises.readFile(path.join(dir, file), "utf8");
+        for (const line of raw.split("\n")) {
+          const entry = line.trim() ? safeParseJSON(line, "usage") : null;
+          if (entry) entries.push(entry);
+        }
+      }
+      return entries;
+    }
+  };
+}
+
+function createUsageStore(name) {
+  switch (name) {
+    case "memory":
+      return createMemoryUsageStore();
+    case "file":
+      return createFileUsageStore(USAGE_DIR);
+    default:
+      throw new Error(`USAGE_STORE desconocido: ${name}`);
+  }
+}
+
+function newUsageEntry({ kind, sessionId, progressId, shop }) {
+  return {
+    id: crypto.randomUUID(),
+    kind, // "generation" | "reposition" | "cart"
+    session_id: sessionId || null,
+    // Canal de progreso (SSE) de la petición; por defecto, la sesión
+    progress_id: progressId || sessionId || null,
+    shop: shop || null,
+    status: "running",
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    duration_ms: null,
+    openai: { calls: 0, input_tokens: 0, output_tokens: 0 },
+    replicate: { predictions: 0, predict_time_s: 0 },
+    cloudinary: { uploads: 0, bytes: 0 },
+    vision: newVisionUsage(),
+    steps: [], // [{ step, at_ms }] desde started_at
+    cost_usd: 0
+  };
+}
+
+// defaulted: { "product.colors": 2, ... } veces que cada campo de Vision
+// acabó con su valor por defecto
+function newVisionUsage() {
+  return { analyses: 0, retries: 0, fallbacks: 0, defaulted: {} };
+}
+
+// Suma consumo a la entrada activa (no hace nada fuera de una petición)
+function recordUsage(mutator) {
+  const entry = usageContext.getStore();
+  if (entry && !entry.finished_at) mutator(entry);
+}
+
+function recordUsageStep(progressId, step) {
+  recordUsage((entry) => {
+    if (entry.progress_id && entry.progress_id !== progressId) return;
+    entry.steps.push({
+      step,
+      at_ms: Date.now() - Date.parse(entry.started_at)
+    });
+  });
+}
+
+function estimateUsageCost(entry) {
+  const cost =
+    (entry.openai.input_tokens / 1e6) * USAGE_PRICES.openaiInputPerMTok +
+    (entry.openai.output_tokens / 1e6) * USAGE_PRICES.openaiOutputPerMTok +
+    entry.replicate.predict_time_s * USAGE_PRICES.replicatePerSecond +
+    (entry.cloudinary.bytes / 1e9) * USAGE_PRICES.cloudinaryPerGb;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+function markUsage(status) {
+  recordUsage((entry) => {
+    entry.status = status;
+  });
+}
+
+// Ledger sobre un store de uso; shop es la tienda de todas las entradas
+// (la del cliente de Shopify de la app). Nunca sale del body: cualquiera
+// podría cargar su consumo a otra tienda.
+function createUsageLedger(store, { shop = null } = {}) {
+  // Corre fn dentro de una entrada del ledger y la guarda al terminar.
+  // fn puede fijar entry.status ("cached", "coalesced"...) antes de devolver.
+  async function withUsage(meta, fn) {
+    const entry = newUsageEntry({ ...meta, shop });
+
+    const finish = async (status) => {
+      if (entry.status === "running") entry.status = status;
+      entry.finished_at = new Date().toISOString();
+      entry.duration_ms =
+        Date.parse(entry.finished_at) - Date.parse(entry.started_at);
+      entry.cost_usd = estimateUsageCost(entry);
+      workTotal.inc({ kind: entry.kind, status: entry.status });
+      workCost.inc({ kind: entry.kind }, entry.cost_usd);
+      await store.append(entry).catch((err) => {
+        logError("No se pudo guardar el uso", err);
+      });
+    };
+
+    try {
+      const result = await usageContext.run(entry, () => fn(entry));
+      await finish("ok");
+      return result;
+    } catch (err) {
+      await finish("error");
+      throw err;
+    }
+  }
+
+  // Para rutas que responden ellas mismas (incluidos sus errores)
+  function withRouteUsage(kind, handler) {
+    return (req, res) =>
+      withUsage(
+        {
+          kind,
+          sessionId: req.params.sessionId || (req.body && req.body.sessionId)
+        },
+        async () => {
+          await handler(req, res);
+          if (res.statusCode >= 400) markUsage("error");
+        }
+      );
+  }
+
+  return { store, withUsage, withRouteUsage };
+}
+
+module.exports = {
+  USAGE_STORE,
+  USAGE_DIR,
+  USAGE_PRICES,
+  createMemoryUsageStore,
+  createFileUsageStore,
+  createUsageStore,
+  newUsageEntry,
+  recordUsage,
+  recordUsageStep,
+  estimateUsageCost,
+  markUsage,
+  createUsageLedger
+};
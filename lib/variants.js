@@ -0,0 +1,112 @@
+// lib/variants.js
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { loadImageBuffer } = require("./images");
+
+// ================== VARIANTES (CANDIDATOS) ==================
+//
+// `variants` = N genera N salidas de FLUX con seeds distintas (y, con
+// variantPlacements, la caja desplazada a los lados). Corren en paralelo
+// con un límite y se ordenan por un score barato: cuánto cambió la imagen
+// FUERA de la máscara (lo que FLUX no debía tocar). 1 = sin cambios.
+
+const MAX_VARIANTS = Number(process.env.MAX_VARIANTS || 4);
+const VARIANT_CONCURRENCY = Number(process.env.VARIANT_CONCURRENCY || 2);
+const VARIANT_PLACEMENT_SHIFTS = [0, -0.15, 0.15, -0.3, 0.3];
+const VARIANT_SCORE_SIZE = 256;
+
+function parseVariantCount(body) {
+  const n = parseInt(body.variants, 10);
+  if (!Number.isFinite(n) || n < 1) return 1;
+  return Math.min(n, MAX_VARIANTS);
+}
+
+function randomSeed() {
+  return crypto.randomInt(1, 2 ** 31 - 1);
+}
+
+// Desplaza la caja en horizontal sin salirse de la imagen
+function shiftPlacement(placement, dx, realWidth) {
+  const maxX = Math.max(0, realWidth - placement.width);
+  return {
+    ...placement,
+    x: Math.min(Math.max(0, placement.x + dx), maxX)
+  };
+}
+
+// Como Promise.allSettled, pero con como mucho `limit` tareas a la vez
+async function mapWithConcurrency(values, limit, fn) {
+  const results = new Array(values.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < values.length) {
+      const i = next++;
+      try {
+        results[i] = { status: "fulfilled", value: await fn(values[i], i) };
+      } catch (reason) {
+        results[i] = { status: "rejected", reason };
+      }
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit, values.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+async function grayscaleSample(buffer) {
+  return sharp(buffer)
+    .resize(VARIANT_SCORE_SIZE, VARIANT_SCORE_SIZE, { fit: "fill" })
+    .removeAlpha()
+    .greyscale()
+    .raw()
+    .toBuffer();
+}
+
+// Diferencia media (0..1) entre base y salida donde la máscara es negra
+async function scoreCandidate({ baseUrl, outputUrl, maskBase64 }) {
+  const [base, output, mask] = await Promise.all([
+    loadImageBuffer(baseUrl).then(grayscaleSample),
+    loadImageBuffer(outputUrl).then(grayscaleSample),
+    grayscaleSample(Buffer.from(maskBase64, "base64"))
+  ]);
+
+  let total = 0;
+  let count = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] > 16) continue;
+    total += Math.abs(base[i] - output[i]);
+    count++;
+  }
+
+  const changeOutsideMask = count ? total / count / 255 : 0;
+  return {
+    score: Math.round((1 - changeOutsideMask) * 1000) / 1000,
+    changeOutsideMask: Math.round(changeOutsideMask * 1000) / 1000
+  };
+}
+
+// Mejor score primero; sin score (falló el chequeo) al final
+function rankCandidates(candidates) {
+  return [...candidates]
+    .sort((a, b) => {
+      const sa = a.score == null ? -1 : a.score;
+      const sb = b.score == null ? -1 : b.score;
+      return sb - sa || a.index - b.index;
+    })
+    .map((candidate, i) => ({ ...candidate, rank: i + 1 }));
+}
+
+module.exports = {
+  MAX_VARIANTS,
+  VARIANT_CONCURRENCY,
+  VARIANT_PLACEMENT_SHIFTS,
+  parseVariantCount,
+  randomSeed,
+  shiftPlacement,
+  mapWithConcurrency,
+  scoreCandidate,
+  rankCandidates
+};
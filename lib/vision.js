@@ -0,0 +1,632 @@
+// lib/vision.js
+
+const { logStep } = require("./logging");
+const { timeStage } = require("./metrics");
+const { recordUsage } = require("./usage");
+const { safeParseJSON } = require("./helpers");
+const { quoteCustomerText } = require("./validation");
+const { formatDimensions } = require("./shopify");
+const {
+  PLACEMENT_STRATEGIES,
+  strategyFromProductType,
+  strategyDefaultBox
+} = require("./strategies");
+
+// ================== OPENAI VISION: CUARTO + PRODUCTO ==================
+//
+// La tarea de ubicación depende de la estrategia (D1 mesa, D2 pared, ...)
+//
+
+// ---------- Esquema del análisis (structured output + reparación) ----------
+//
+// Vision responde con response_format json_schema (strict), pero igual
+// validamos campo a campo: cada campo tiene su coerción ("12px" → 12,
+// "a1b2c3" → "#a1b2c3", "left" → "izquierda") y un valor por defecto.
+// Si falta la ubicación (campo crítico) se reintenta una vez con los errores.
+//
+
+const VISION_LIGHT_DIRECTIONS = {
+  izquierda: ["izquierda", "izq", "left"],
+  derecha: ["derecha", "der", "right"],
+  frontal: ["frontal", "frente", "front", "centro", "center", "cenital"],
+  mixta: ["mixta", "mixto", "mixed", "difusa", "diffuse", "multiple"]
+};
+
+const VISION_PRODUCT_TYPES = [
+  "objeto_mesa",
+  "cuadro",
+  "lampara",
+  "alfombra",
+  "mueble",
+  "otro"
+];
+
+const VISION_BOX_SCHEMA = {
+  type: "object",
+  properties: {
+    x: { type: "number" },
+    y: { type: "number" },
+    width: { type: "number" },
+    height: { type: "number" }
+  },
+  required: ["x", "y", "width", "height"],
+  additionalProperties: false
+};
+
+const VISION_ANALYSIS_SCHEMA = {
+  type: "object",
+  properties: {
+    imageWidth: { type: "number" },
+    imageHeight: { type: "number" },
+    roomStyle: { type: "string" },
+    lightDirection: {
+      type: "string",
+      enum: Object.keys(VISION_LIGHT_DIRECTIONS)
+    },
+    mainSurfaces: { type: "array", items: { type: "string" } },
+    placement: VISION_BOX_SCHEMA,
+    finalPlacement: VISION_BOX_SCHEMA,
+    scale: {
+      anyOf: [
+        {
+          type: "object",
+          properties: {
+            pixelsPerCm: { type: "number" },
+            reference: { type: "string" },
+            confidence: { type: "number" }
+          },
+          required: ["pixelsPerCm", "reference", "confidence"],
+          additionalProperties: false
+        },
+        { type: "null" }
+      ]
+    },
+    bundlePlacements: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          index: { type: "integer" },
+          ...VISION_BOX_SCHEMA.properties
+        },
+        required: ["index", ...VISION_BOX_SCHEMA.required],
+        additionalProperties: false
+      }
+    },
+    product: {
+      type: "object",
+      properties: {
+        normalizedType: { type: "string", enum: VISION_PRODUCT_TYPES },
+        rawTypeHint: { type: "string" },
+        colors: { type: "array", items: { type: "string" } },
+        materials: { type: "array", items: { type: "string" } },
+        texture: { type: "string" },
+        finish: { type: "string" }
+      },
+      required: [
+        "normalizedType",
+        "rawTypeHint",
+        "colors",
+        "materials",
+        "texture",
+        "finish"
+      ],
+      additionalProperties: false
+    }
+  },
+  required: [
+    "imageWidth",
+    "imageHeight",
+    "roomStyle",
+    "lightDirection",
+    "mainSurfaces",
+    "placement",
+    "finalPlacement",
+    "scale",
+    "bundlePlacements",
+    "product"
+  ],
+  additionalProperties: false
+};
+
+function foldText(value) {
+  return String(value)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+// Coerciones: devuelven undefined si el valor no se puede reparar
+
+function coerceVisionNumber(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : undefined;
+  }
+  if (typeof value !== "string") return undefined;
+  const match = value.trim().match(/^-?\d+(?:[.,]\d+)?/);
+  return match ? Number(match[0].replace(",", ".")) : undefined;
+}
+
+function coercePositiveNumber(value) {
+  const n = coerceVisionNumber(value);
+  return n > 0 ? n : undefined;
+}
+
+function coerceVisionText(value) {
+  if (typeof value === "string") return value.trim();
+  if (typeof value === "number") return String(value);
+  return undefined;
+}
+
+function coerceTextList(value) {
+  const list =
+    typeof value === "string"
+      ? value.split(",")
+      : Array.isArray(value)
+      ? value
+      : null;
+  if (!list) return undefined;
+  return list.map(coerceVisionText).filter(Boolean);
+}
+
+function coerceLightDirection(value) {
+  if (typeof value !== "string") return undefined;
+  const words = foldText(value).split(/[^a-z]+/);
+  const entries = Object.entries(VISION_LIGHT_DIRECTIONS);
+  for (const word of words) {
+    const match = entries.find(([, synonyms]) => synonyms.includes(word));
+    if (match) return match[0];
+  }
+  return undefined;
+}
+
+function coerceHexColor(value) {
+  if (typeof value !== "string") return undefined;
+  const hex = value.trim().replace(/^#/, "").toLowerCase();
+  if (/^[0-9a-f]{6}$/.test(hex)) return "#" + hex;
+  if (/^[0-9a-f]{3}$/.test(hex)) {
+    return "#" + [...hex].map((c) => c + c).join("");
+  }
+  return undefined;
+}
+
+function coerceHexColors(value) {
+  if (!Array.isArray(value)) return undefined;
+  return value.map(coerceHexColor).filter(Boolean);
+}
+
+function coerceProductType(value) {
+  if (typeof value !== "string") return undefined;
+  const folded = foldText(value).replace(/[\s-]+/g, "_");
+  return VISION_PRODUCT_TYPES.includes(folded) ? folded : undefined;
+}
+
+function coerceVisionBox(value) {
+  if (!value || typeof value !== "object") return undefined;
+  const box = {
+    x: coerceVisionNumber(value.x),
+    y: coerceVisionNumber(value.y),
+    width: coercePositiveNumber(value.width),
+    height: coercePositiveNumber(value.height)
+  };
+  return Object.values(box).every((n) => n !== undefined) ? box : undefined;
+}
+
+function coerceVisionScale(value) {
+  if (value === null) return null;
+  if (!value || typeof value !== "object") return undefined;
+  const pixelsPerCm = coercePositiveNumber(value.pixelsPerCm);
+  if (pixelsPerCm === undefined) return undefined;
+  const confidence = coerceVisionNumber(value.confidence);
+  return {
+    pixelsPerCm,
+    reference: coerceVisionText(value.reference) || "",
+    confidence:
+      confidence === undefined ? null : Math.min(1, Math.max(0, confidence))
+  };
+}
+
+// Las entradas inválidas se descartan: resolveBundlePlacements ya tiene
+// su propio fallback por pieza
+function coerceBundlePlacements(value) {
+  if (!Array.isArray(value)) return undefined;
+  return value
+    .map((entry) => {
+      const box = coerceVisionBox(entry);
+      const index = coerceVisionNumber(entry && entry.index);
+      return box && Number.isInteger(index) && index >= 1
+        ? { index, ...box }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+// Orden importante: placement puede heredar de finalPlacement ya reparado
+const VISION_ANALYSIS_FIELDS = [
+  {
+    path: "imageWidth",
+    coerce: coercePositiveNumber,
+    expected: "número > 0",
+    fallback: (ctx) => ctx.realWidth || 1600
+  },
+  {
+    path: "imageHeight",
+    coerce: coercePositiveNumber,
+    expected: "número > 0",
+    fallback: (ctx) => ctx.realHeight || 900
+  },
+  {
+    path: "roomStyle",
+    coerce: coerceVisionText,
+    expected: "texto",
+    fallback: () => "tu sala"
+  },
+  {
+    path: "lightDirection",
+    coerce: coerceLightDirection,
+    expected: '"izquierda" | "derecha" | "frontal" | "mixta"',
+    fallback: () => "izquierda"
+  },
+  {
+    path: "mainSurfaces",
+    coerce: coerceTextList,
+    expected: "lista de textos",
+    fallback: () => ["mesa de centro"]
+  },
+  {
+    path: "finalPlacement",
+    coerce: coerceVisionBox,
+    expected: "{ x, y, width, height } numéricos con width y height > 0",
+    critical: true,
+    fallback: (ctx, raw) => coerceVisionBox(raw.placement)
+  },
+  {
+    path: "placement",
+    coerce: coerceVisionBox,
+    expected: "{ x, y, width, height } numéricos con width y height > 0",
+    fallback: (ctx, raw, analysis) =>
+      analysis.finalPlacement && { ...analysis.finalPlacement }
+  },
+  {
+    path: "scale",
+    coerce: coerceVisionScale,
+    expected: "{ pixelsPerCm > 0, reference, confidence 0-1 } o null",
+    fallback: () => null
+  },
+  {
+    path: "bundlePlacements",
+    coerce: coerceBundlePlacements,
+    expected: "lista de { index, x, y, width, height }",
+    fallback: () => []
+  },
+  {
+    path: "product.normalizedType",
+    coerce: coerceProductType,
+    expected: VISION_PRODUCT_TYPES.map((t) => `"${t}"`).join(" | "),
+    fallback: (ctx) => ctx.strategy.key
+  },
+  {
+    path: "product.rawTypeHint",
+    coerce: coerceVisionText,
+    expected: "texto",
+    fallback: (ctx) => ctx.productType || ""
+  },
+  {
+    path: "product.colors",
+    coerce: coerceHexColors,
+    expected: 'lista de colores "#rrggbb"',
+    fallback: () => []
+  },
+  {
+    path: "product.materials",
+    coerce: coerceTextList,
+    expected: "lista de textos",
+    fallback: () => []
+  },
+  {
+    path: "product.texture",
+    coerce: coerceVisionText,
+    expected: "texto",
+    fallback: () => ""
+  },
+  {
+    path: "product.finish",
+    coerce: coerceVisionText,
+    expected: "texto",
+    fallback: () => ""
+  }
+];
+
+function getPath(obj, path) {
+  return path
+    .split(".")
+    .reduce(
+      (acc, key) => (acc && typeof acc === "object" ? acc[key] : undefined),
+      obj
+    );
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const target = keys.reduce((acc, key) => (acc[key] = acc[key] || {}), obj);
+  target[last] = value;
+}
+
+// Valida y repara la respuesta cruda de Vision.
+// errors: lo que se le devuelve al modelo en el reintento.
+// defaulted: campos que acabaron con el valor por defecto.
+// coerced: campos reparados (tipo o formato distinto al del esquema).
+// critical: true si no hay ninguna caja utilizable.
+function coerceVisionAnalysis(raw, ctx) {
+  const source =
+    raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const analysis = {};
+  const errors = [];
+  const defaulted = [];
+  const coerced = [];
+  let critical = false;
+
+  for (const field of VISION_ANALYSIS_FIELDS) {
+    const value = getPath(source, field.path);
+    let result = value === undefined ? undefined : field.coerce(value);
+
+    if (result === undefined) {
+      errors.push(
+        value === undefined
+          ? `${field.path}: falta (se esperaba ${field.expected})`
+          : `${field.path}: se esperaba ${field.expected}, llegó ` +
+              JSON.stringify(value).slice(0, 80)
+      );
+      result = field.fallback(ctx, source, analysis);
+      if (field.critical && !result) critical = true;
+      defaulted.push(field.path);
+    } else if (JSON.stringify(result) !== JSON.stringify(value)) {
+      coerced.push(field.path);
+    }
+
+    setPath(analysis, field.path, result === undefined ? null : result);
+  }
+
+  return { analysis, errors, defaulted, coerced, critical };
+}
+
+// openai: cliente inyectado (createApp); solo se usa responses.create
+async function analyzeRoomAndProduct(
+  openai,
+  {
+    roomImageUrl,
+    productImageUrl,
+    ideaText,
+    productName,
+    productType,
+    imageWidth: realWidth,
+    imageHeight: realHeight,
+    productDimensions = null, // { width_cm, height_cm, depth_cm }
+    extraProducts = [] // bundle: [{ name, type, imageUrl }]
+  }
+) {
+  const strategy =
+    strategyFromProductType(productType) || PLACEMENT_STRATEGIES.objeto_mesa;
+
+  logStep("OpenAI: análisis arquitectónico cuarto + producto", {
+    strategy: strategy.key
+  });
+
+  const prompt =
+    'Analiza esta habitación real y el producto decorativo para integrarlo con REALISMO ARQUITECTÓNICO.\n\n' +
+    'Toma en cuenta:\n' +
+    '- Paredes, líneas de fuga y perspectiva.\n' +
+    '- Mesas, consolas, paredes libres y suelo donde podría ubicarse el producto.\n' +
+    '- Dirección de la luz (ventanas / lámparas existentes) y sombras.\n\n' +
+    'Tu tarea es encontrar la mejor ubicación para ' +
+    strategy.visionTask +
+    ' dentro del espacio real.\n\n' +
+    (realWidth && realHeight
+      ? 'La foto del cuarto mide ' +
+        realWidth +
+        '×' +
+        realHeight +
+        ' píxeles: usa ese sistema de coordenadas para placement y finalPlacement.\n\n'
+      : '') +
+    'DEVUELVE EXCLUSIVAMENTE un JSON con esta estructura EXACTA:\n\n' +
+    '{\n' +
+    '  "imageWidth": number,\n' +
+    '  "imageHeight": number,\n' +
+    '  "roomStyle": "texto corto",\n' +
+    '  "lightDirection": "izquierda" | "derecha" | "frontal" | "mixta",\n' +
+    '  "mainSurfaces": ["mesa de centro", "mesa lateral", "consola", "repisa", "otro"],\n' +
+    '  "placement": { "x": number, "y": number, "width": number, "height": number },\n' +
+    '  "finalPlacement": { "x": number, "y": number, "width": number, "height": number },\n' +
+    '  "scale": { "pixelsPerCm": number, "reference": "texto corto", "confidence": number },\n' +
+    (extraProducts.length
+      ? '  "bundlePlacements": [{ "index": number, "x": number, "y": number, "width": number, "height": number }],\n'
+      : '  "bundlePlacements": [],\n') +
+    '  "product": {\n' +
+    '    "normalizedType": "objeto_mesa" | "cuadro" | "lampara" | "alfombra" | "mueble" | "otro",\n' +
+    '    "rawTypeHint": "texto",\n' +
+    '    "colors": ["#hex", "#hex"],\n' +
+    '    "materials": ["madera", "metal", "ceramica", "vidrio", "tela"],\n' +
+    '    "texture": "texto",\n' +
+    '    "finish": "mate/satinado/brillante"\n' +
+    '  }\n' +
+    '}\n\n' +
+    quoteCustomerText("Intención del cliente", ideaText || "") +
+    '\n' +
+    'Tipo de producto: "' +
+    (productType || "desconocido") +
+    '"\n' +
+    quoteCustomerText("Nombre comercial", productName || "producto") +
+    '\n\n' +
+    'ESCALA: estima cuántos píxeles mide 1 cm a la profundidad de finalPlacement, ' +
+    'usando muebles reconocibles de medida conocida (altura de mesa de centro ~45 cm, ' +
+    'mesa de comedor ~75 cm, fondo de sofá ~90 cm, puerta ~200 cm). En "reference" ' +
+    'indica qué usaste y en "confidence" tu seguridad de 0 a 1.\n\n' +
+    (productDimensions
+      ? 'Medidas reales del producto: ' +
+        formatDimensions(productDimensions) +
+        '. Dimensiona finalPlacement a esa escala usando como referencia ' +
+        'los muebles y objetos del cuarto.\n\n'
+      : '') +
+    (extraProducts.length
+      ? 'CONJUNTO: además del producto principal (imagen 2), ubica estas piezas ' +
+        'SIN SUPERPONERSE entre sí ni con el principal, formando una composición armónica. ' +
+        'Devuelve una entrada en bundlePlacements por cada una, con su index:\n' +
+        extraProducts
+          .map(
+            (p, i) =>
+              '- index ' +
+              (i + 1) +
+              ' (imagen ' +
+              (i + 3) +
+              '): "' +
+              p.name +
+              '" (' +
+              (p.type || "objeto decorativo") +
+              ')\n'
+          )
+          .join("") +
+        '\n'
+      : '') +
+    "No expliques nada. Devuelve SOLO el JSON, sin texto adicional.";
+
+  const requestAnalysis = async (feedback) => {
+    const response = await timeStage("openai_vision", () =>
+      openai.responses.create({
+        model: "gpt-4.1-mini",
+        input: [
+          {
+            role: "user",
+            content: [
+              { type: "input_text", text: prompt + feedback },
+              { type: "input_image", image_url: roomImageUrl },
+              { type: "input_image", image_url: productImageUrl },
+              ...extraProducts.map((p) => ({
+                type: "input_image",
+                image_url: p.imageUrl
+              }))
+            ]
+          }
+        ],
+        text: {
+          format: {
+            type: "json_schema",
+            name: "room_analysis",
+            schema: VISION_ANALYSIS_SCHEMA,
+            strict: true
+          }
+        }
+      })
+    );
+
+    recordUsage((entry) => {
+      entry.openai.calls++;
+      entry.openai.input_tokens += response.usage?.input_tokens || 0;
+      entry.openai.output_tokens += response.usage?.output_tokens || 0;
+    });
+
+    const content = response.output?.[0]?.content || [];
+    const text = content
+      .filter((c) => c.type === "output_text")
+      .map((c) => c.text)
+      .join("\n")
+      .trim();
+
+    const raw = safeParseJSON(text, "analysis room+product");
+    const checked = coerceVisionAnalysis(raw, {
+      realWidth,
+      realHeight,
+      strategy,
+      productType
+    });
+    if (!raw) {
+      checked.critical = true;
+      checked.errors = ["la respuesta no era un JSON válido"];
+    }
+    return checked;
+  };
+
+  // Un solo reintento, y solo si falta la ubicación: el resto de campos
+  // tiene un valor por defecto razonable
+  let attempts = 1;
+  let checked = await requestAnalysis("");
+  if (checked.critical) {
+    logStep("Análisis inválido, reintentando con los errores", {
+      errors: checked.errors
+    });
+    attempts++;
+    checked = await requestAnalysis(
+      "\n\nTu respuesta anterior no cumplía el esquema:\n" +
+        checked.errors.map((e) => "- " + e).join("\n") +
+        "\nCorrige esos campos y devuelve el JSON completo."
+    );
+  }
+
+  let analysis = checked.analysis;
+
+  // Fallback si sigue sin ubicación utilizable
+  if (checked.critical) {
+    logStep("Análisis insuficiente, usando fallback", {
+      strategy: strategy.key
+    });
+
+    const imageWidth = realWidth || analysis.imageWidth;
+    const imageHeight = realHeight || analysis.imageHeight;
+
+    // Para D1, asumimos una mesa en el tercio inferior central;
+    // los demás tipos usan la caja por defecto de su estrategia
+    let box;
+    if (strategy.key === "objeto_mesa") {
+      const boxWidth = Math.round(imageWidth * 0.22);
+      const boxHeight = Math.round(imageHeight * 0.20);
+      box = {
+        x: Math.round((imageWidth - boxWidth) / 2),
+        y: Math.round(imageHeight * 0.55),
+        width: boxWidth,
+        height: boxHeight
+      };
+    } else {
+      box = strategyDefaultBox(strategy, imageWidth, imageHeight);
+    }
+
+    analysis = {
+      ...analysis,
+      fallback: true,
+      imageWidth,
+      imageHeight,
+      placement: { ...box },
+      finalPlacement: { ...box },
+      scale: null,
+      bundlePlacements: []
+    };
+  }
+
+  analysis.validation = {
+    attempts,
+    defaulted: checked.defaulted,
+    coerced: checked.coerced,
+    errors: checked.errors
+  };
+  if (checked.errors.length || checked.coerced.length) {
+    logStep("Análisis reparado", analysis.validation);
+  }
+
+  recordUsage((entry) => {
+    entry.vision.analyses++;
+    entry.vision.retries += attempts - 1;
+    if (analysis.fallback) entry.vision.fallbacks++;
+    for (const path of checked.defaulted) {
+      entry.vision.defaulted[path] = (entry.vision.defaulted[path] || 0) + 1;
+    }
+  });
+
+  return analysis;
+}
+
+module.exports = {
+  VISION_ANALYSIS_SCHEMA,
+  VISION_ANALYSIS_FIELDS,
+  coerceVisionAnalysis,
+  analyzeRoomAndProduct
+};
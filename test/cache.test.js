@@ -0,0 +1,135 @@
+// test/cache.test.js
+// Caché de resultados y peticiones idénticas en vuelo: cada cliente recibe
+// su propia sesión.
+
+const { startTestApp, experienciaForm } = require("./support/app");
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  hashBuffer,
+  analysisCacheKey,
+  resultCacheKey,
+  isCacheBypass
+} = require("../lib/cache");
+
+let env;
+
+before(async () => {
+  env = await startTestApp();
+});
+
+after(() => env.close());
+
+async function generate(fields) {
+  const res = await fetch(`${env.url}/experiencia-premium`, {
+    method: "POST",
+    body: await experienciaForm(fields)
+  });
+  const body = await res.json();
+  assert.equal(res.status, 200, JSON.stringify(body));
+  return body;
+}
+
+async function versionsOf(sessionId) {
+  return fetch(`${env.url}/sessions/${sessionId}/versions`).then((r) =>
+    r.json()
+  );
+}
+
+test("las claves dependen del cuarto, el producto y la idea", () => {
+  const room = hashBuffer(Buffer.from("cuarto"));
+  const body = { productId: "1", idea: "junto al sofá" };
+
+  assert.equal(
+    resultCacheKey(room, body),
+    resultCacheKey(room, { ...body, idea: "  junto al sofá " })
+  );
+  assert.notEqual(
+    resultCacheKey(room, body),
+    resultCacheKey(room, { ...body, idea: "en la mesa" })
+  );
+  assert.notEqual(
+    resultCacheKey(room, body),
+    resultCacheKey(hashBuffer(Buffer.from("otro")), body)
+  );
+  // variants cambia el resultado pero no el análisis
+  assert.equal(
+    analysisCacheKey(room, body),
+    analysisCacheKey(room, { ...body, variants: "3" })
+  );
+  assert.notEqual(
+    resultCacheKey(room, body),
+    resultCacheKey(room, { ...body, variants: "3" })
+  );
+  assert.equal(isCacheBypass({ nocache: "1" }), true);
+  assert.equal(isCacheBypass({}), false);
+});
+
+let first;
+
+test("un acierto de caché abre una sesión nueva", async () => {
+  first = await generate({ idea: "caché" });
+  const second = await generate({ idea: "caché" });
+
+  assert.equal(second.cached, true);
+  assert.equal(env.replicate.requests.length, 1, "FLUX corre una sola vez");
+  assert.notEqual(second.sessionId, first.sessionId);
+  assert.equal(second.ai_image, first.ai_image);
+
+  const versions = await versionsOf(second.sessionId);
+  assert.equal(versions.sessionId, second.sessionId);
+  assert.equal(versions.current_version_id, second.candidates[0].version_id);
+});
+
+test("reposicionar no cambia la copia de otro cliente", async () => {
+  const copy = await generate({ idea: "caché" });
+
+  const res = await fetch(`${env.url}/experiencia-premium-reposicion`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ sessionId: first.sessionId, x: 200, y: 380 })
+  });
+  assert.equal(res.status, 200);
+
+  const mine = await versionsOf(first.sessionId);
+  const theirs = await versionsOf(copy.sessionId);
+  assert.equal(mine.versions.length, 3);
+  assert.equal(theirs.versions.length, 2);
+  assert.equal(theirs.current_version_id, copy.candidates[0].version_id);
+
+  // Una copia posterior tampoco hereda la reposición
+  const later = await generate({ idea: "caché" });
+  assert.equal((await versionsOf(later.sessionId)).versions.length, 2);
+});
+
+test("peticiones simultáneas comparten FLUX, no la sesión", async () => {
+  const before = env.replicate.requests.length;
+  const results = await Promise.all([
+    generate({ idea: "simultáneas" }),
+    generate({ idea: "simultáneas" }),
+    generate({ idea: "simultáneas" })
+  ]);
+
+  assert.equal(env.replicate.requests.length, before + 1);
+  assert.equal(
+    results.filter((r) => r.cached || r.coalesced).length,
+    2,
+    "una genera y las otras dos se suman"
+  );
+  assert.equal(new Set(results.map((r) => r.sessionId)).size, 3);
+
+  for (const result of results) {
+    const versions = await versionsOf(result.sessionId);
+    assert.equal(versions.sessionId, result.sessionId);
+    assert.equal(versions.versions.length, 2);
+  }
+});
+
+test("nocache=1 regenera aunque haya resultado en caché", async () => {
+  const before = env.replicate.requests.length;
+  const fresh = await generate({ idea: "caché", nocache: "1" });
+
+  assert.equal(env.replicate.requests.length, before + 1);
+  assert.equal(fresh.cached, undefined);
+});
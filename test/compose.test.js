@@ -0,0 +1,163 @@
+// test/compose.test.js
+// Composición del producto sobre el cuarto: tamaño y ancla de la capa,
+// ajuste de tono, sombras y la imagen compuesta que se sube.
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const sharp = require("sharp");
+const {
+  placeProductLayer,
+  matchProductTone,
+  buildProductShadow,
+  composeProductOnRoom
+} = require("../lib/compose");
+const { listen, createRoomJpeg } = require("./support/fakes");
+
+// Producto ya recortado: PNG con alfa, opaco y de un solo color
+function createCutoutPng(width, height, color = "#c0302a") {
+  return sharp({
+    create: { width, height, channels: 4, background: color }
+  })
+    .png()
+    .toBuffer();
+}
+
+async function pixelAt(buffer, x, y) {
+  const { data, info } = await sharp(buffer)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const i = (y * info.width + x) * info.channels;
+  return Array.from(data.subarray(i, i + info.channels));
+}
+
+let server;
+
+before(async () => {
+  const app = express();
+  const room = await createRoomJpeg();
+  app.get("/cuarto.jpg", (req, res) => res.type("jpeg").send(room));
+  server = await listen(app);
+});
+
+after(() => server.close());
+
+test("la capa cabe en la caja, centrada y apoyada en la base", async () => {
+  // Producto apaisado 200×100 en una caja alta 100×200
+  const layer = await placeProductLayer(await createCutoutPng(200, 100), {
+    x: 300,
+    y: 100,
+    width: 100,
+    height: 200
+  });
+
+  assert.equal(layer.width, 100);
+  assert.equal(layer.height, 50, "mantiene la proporción");
+  assert.equal(layer.left, 300);
+  assert.equal(layer.top, 250, "base de la caja: 100 + 200 - 50");
+
+  // Producto alto en caja ancha: se centra en horizontal
+  const tall = await placeProductLayer(await createCutoutPng(50, 200), {
+    x: 0,
+    y: 0,
+    width: 200,
+    height: 100
+  });
+  assert.equal(tall.height, 100);
+  assert.equal(tall.width, 25);
+  assert.equal(tall.left, Math.round((200 - 25) / 2));
+});
+
+test("el tono se acerca al del cuarto, con límite", async () => {
+  const grey = await createCutoutPng(20, 20, "#808080");
+  const [r0, g0, b0] = await pixelAt(grey, 10, 10);
+
+  // Cuarto cálido: sube el rojo y baja el azul, sin pasarse de ±25 %
+  const warm = await matchProductTone(grey, { r: 220, g: 128, b: 60 });
+  const [r, g, b] = await pixelAt(warm, 10, 10);
+  assert.ok(r > r0 && b < b0, `${[r, g, b]}`);
+  assert.ok(r <= Math.round(r0 * 1.25) && b >= Math.floor(b0 * 0.75));
+
+  // Sin color del cuarto no se toca
+  assert.equal(await matchProductTone(grey, null), grey);
+});
+
+test("la sombra va en contra de la luz; 'none' no dibuja nada", async () => {
+  const layer = await placeProductLayer(await createCutoutPng(100, 100), {
+    x: 300,
+    y: 200,
+    width: 100,
+    height: 100
+  });
+
+  const fromLeft = await buildProductShadow(layer, "izquierda", "contact");
+  const fromRight = await buildProductShadow(layer, "derecha", "contact");
+  const frontal = await buildProductShadow(layer, "frontal", "contact");
+  assert.ok(fromLeft.left > frontal.left, "luz a la izquierda: a la derecha");
+  assert.ok(fromRight.left < frontal.left);
+  // La elipse de contacto queda en la base del producto
+  const { height } = await sharp(fromLeft.input).metadata();
+  assert.ok(fromLeft.top < layer.top + layer.height);
+  assert.ok(fromLeft.top + height > layer.top + layer.height);
+
+  // Sombra proyectada (cuadros): el contorno con margen, hacia abajo y
+  // en contra de la luz
+  const drop = await buildProductShadow(layer, "izquierda", "drop");
+  const dropMeta = await sharp(drop.input).metadata();
+  const pad = (dropMeta.width - layer.width) / 2;
+  assert.equal(dropMeta.height - layer.height, pad * 2);
+  assert.ok(drop.left > layer.left - pad);
+  assert.ok(drop.top > layer.top - pad);
+
+  assert.equal(await buildProductShadow(layer, "izquierda", "none"), null);
+});
+
+test("composeProductOnRoom sube el cuarto con el producto encima", async () => {
+  let uploaded;
+  const uploadBufferToCloudinary = async (buffer, folder) => {
+    uploaded = { buffer, folder };
+    return { secure_url: "https://res.cloudinary.com/demo/compuesta.jpg" };
+  };
+
+  const url = await composeProductOnRoom(
+    { uploadBufferToCloudinary },
+    {
+      roomImageUrl: `${server.url}/cuarto.jpg`,
+      roomWidth: 800,
+      roomHeight: 600,
+      lightDirection: "izquierda",
+      items: [
+        {
+          productBuffer: await createCutoutPng(100, 100),
+          placement: { x: 300, y: 200, width: 100, height: 100 },
+          shadow: "contact"
+        },
+        // Pegada al borde: su sombra se sale del cuarto y se recorta
+        {
+          productBuffer: await createCutoutPng(80, 80),
+          placement: { x: 720, y: 520, width: 80, height: 80 },
+          shadow: "contact"
+        }
+      ]
+    }
+  );
+
+  assert.equal(url, "https://res.cloudinary.com/demo/compuesta.jpg");
+  assert.equal(uploaded.folder, "innotiva/composed");
+
+  const meta = await sharp(uploaded.buffer).metadata();
+  assert.equal(meta.format, "jpeg");
+  assert.equal(meta.width, 800);
+  assert.equal(meta.height, 600);
+
+  // Rojo (con el tono ajustado) dentro de la caja; pared intacta fuera
+  const [r, g, b] = await pixelAt(uploaded.buffer, 350, 250);
+  assert.ok(r > 120 && r > g + 60 && r > b + 60, `${[r, g, b]}`);
+  const wall = await pixelAt(uploaded.buffer, 100, 100);
+  assert.ok(
+    wall.every((v, i) => Math.abs(v - [0xe8, 0xe1, 0xd5][i]) < 8),
+    `${wall}`
+  );
+});
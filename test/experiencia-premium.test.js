@@ -0,0 +1,405 @@
+// test/experiencia-premium.test.js
+// Extremo a extremo: /experiencia-premium y /experiencia-premium-reposicion
+// contra fakes HTTP locales de Shopify, Replicate y Cloudinary.
+
+// Antes de cargar la app (los módulos leen el entorno al importarse)
+delete process.env.ALLOWED_ORIGINS;
+delete process.env.THEME_TOKEN_SECRET;
+// Solo lo usa el proveedor por defecto; la app de los tests lleva Replicate
+process.env.INPAINT_PROVIDER = "mock";
+
+const {
+  startTestApp,
+  experienciaForm,
+  defaultAnalysis,
+  PRODUCT_ID
+} = require("./support/app");
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const {
+  INPAINT_PROVIDER,
+  createInpaintingProvider,
+  runInpainting
+} = require("../lib/inpainting");
+const { createRoomJpeg, createProductPng } = require("./support/fakes");
+
+let env;
+
+before(async () => {
+  env = await startTestApp();
+});
+
+after(() => env.close());
+
+async function fetchImageMeta(url) {
+  const res = await fetch(url);
+  assert.equal(res.status, 200, `no se pudo descargar ${url}`);
+  return sharp(Buffer.from(await res.arrayBuffer())).metadata();
+}
+
+let generation;
+
+test("POST /experiencia-premium genera la experiencia completa", async () => {
+  const res = await fetch(`${env.url}/experiencia-premium`, {
+    method: "POST",
+    body: await experienciaForm({ idea: "en la mesa de centro" })
+  });
+  generation = await res.json();
+
+  assert.equal(res.status, 200, JSON.stringify(generation));
+  assert.equal(generation.ok, true);
+  assert.equal(generation.status, "complete");
+  assert.match(generation.sessionId, /^[a-f0-9-]{36}$/);
+  assert.equal(generation.product_name, "Jarrón Terracota");
+  assert.equal(generation.analysis.strategy, "objeto_mesa");
+  assert.equal(generation.candidates.length, 1);
+  assert.deepEqual(generation.price, { amount: "59.90", currencyCode: "EUR" });
+  assert.match(generation.message, /nórdico cálido/);
+
+  // Shopify: una consulta de producto con el token de Storefront
+  assert.equal(env.shopify.requests.length, 1);
+  assert.equal(env.shopify.requests[0].token, "storefront-token");
+  assert.equal(
+    env.shopify.requests[0].variables.id,
+    `gid://shopify/Product/${PRODUCT_ID}`
+  );
+
+  // Vision: cuarto + producto (el recorte ya subido a Cloudinary)
+  assert.equal(env.openai.calls.length, 1);
+  const images = env.openai.calls[0].input[0].content.filter(
+    (c) => c.type === "input_image"
+  );
+  assert.equal(images.length, 2);
+  assert.ok(images[1].image_url.includes("innotiva/cutouts/"));
+
+  // Replicate: una predicción sobre la composición, con máscara PNG
+  assert.equal(env.replicate.requests.length, 1);
+  const [prediction] = env.replicate.requests;
+  assert.equal(prediction.model, "black-forest-labs/flux-fill-dev");
+  assert.equal(prediction.token, "Bearer replicate-token");
+  assert.ok(prediction.input.image.includes("innotiva/composed/"));
+  assert.match(prediction.input.mask, /^data:image\/png;base64,/);
+  assert.match(prediction.input.prompt, /en la mesa de centro/);
+
+  // Cloudinary: cuarto, recorte, composición y resultado final
+  const folders = env.cloudinary.uploads.map((u) => u.publicId.split("/")[1]);
+  assert.deepEqual(folders.sort(), [
+    "composed",
+    "cutouts",
+    "generated",
+    "rooms"
+  ]);
+  assert.ok(generation.ai_image.includes("innotiva/generated/"));
+
+  const result = await fetchImageMeta(generation.ai_image);
+  assert.equal(result.width, 800);
+  assert.equal(result.height, 600);
+});
+
+test("GET /sessions/:id devuelve la sesión guardada", async () => {
+  const res = await fetch(`${env.url}/sessions/${generation.sessionId}`);
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.equal(body.session.product.name, "Jarrón Terracota");
+  assert.deepEqual(
+    body.session.versions.map((v) => v.kind),
+    ["original", "generation"]
+  );
+});
+
+test("POST /experiencia-premium-reposicion reubica en la sesión", async () => {
+  const res = await fetch(`${env.url}/experiencia-premium-reposicion`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      sessionId: generation.sessionId,
+      x: 200,
+      y: 380,
+      idea: "más a la izquierda"
+    })
+  });
+  const body = await res.json();
+
+  assert.equal(res.status, 200, JSON.stringify(body));
+  assert.equal(body.ok, true);
+  assert.equal(body.sessionId, generation.sessionId);
+  assert.equal(body.parentVersionId, generation.candidates[0].version_id);
+  assert.ok(body.ai_image.includes("innotiva/repositions/"));
+  assert.equal(body.base_used, generation.ai_image);
+
+  // La reposición parte de la imagen generada, no del cuarto original
+  assert.equal(env.replicate.requests.length, 2);
+  const { input } = env.replicate.requests[1];
+  assert.equal(input.image, generation.ai_image);
+  assert.match(input.prompt, /más a la izquierda/);
+
+  // Máscara del mismo tamaño que la base, con la zona blanca en el click
+  const mask = sharp(Buffer.from(input.mask.split(",")[1], "base64"));
+  const { data, info } = await mask
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const pixel = (x, y) => data[(y * info.width + x) * info.channels];
+  assert.equal(info.width, 800);
+  assert.equal(info.height, 600);
+  assert.equal(pixel(200, 380), 255);
+  assert.equal(pixel(700, 50), 0);
+
+  const versions = await fetch(
+    `${env.url}/sessions/${generation.sessionId}/versions`
+  ).then((r) => r.json());
+  assert.equal(versions.current_version_id, body.versionId);
+  assert.deepEqual(
+    versions.versions.map((v) => v.kind),
+    ["original", "generation", "reposition"]
+  );
+});
+
+test("POST /experiencia-premium-reposicion sin sesión: 404", async () => {
+  const res = await fetch(`${env.url}/experiencia-premium-reposicion`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      sessionId: "00000000-0000-4000-8000-000000000000",
+      x: 10,
+      y: 10
+    })
+  });
+  const body = await res.json();
+
+  assert.equal(res.status, 404);
+  assert.equal(body.code, "SESSION_NOT_FOUND");
+});
+
+test("un sessionId del cliente no pisa una sesión existente", async () => {
+  const res = await fetch(`${env.url}/experiencia-premium`, {
+    method: "POST",
+    body: await experienciaForm({
+      idea: "junto a la ventana",
+      nocache: "1",
+      // El sessionId de otro cliente (p. ej. sacado de un enlace compartido)
+      sessionId: generation.sessionId
+    })
+  });
+  const body = await res.json();
+
+  assert.equal(res.status, 200, JSON.stringify(body));
+  assert.match(body.sessionId, /^[a-f0-9-]{36}$/);
+  assert.notEqual(body.sessionId, generation.sessionId);
+
+  // La sesión original conserva su idea y su historial
+  const original = await fetch(
+    `${env.url}/sessions/${generation.sessionId}`
+  ).then((r) => r.json());
+  assert.equal(original.session.idea, "en la mesa de centro");
+  assert.equal(original.session.versions.length, 3);
+
+  // El id del cliente sigue sirviendo como canal de progreso: el canal
+  // tiene el complete de la primera generación y el de esta
+  const events = await fetch(
+    `${env.url}/experiencia-premium/${generation.sessionId}/events`
+  ).then((r) => r.text());
+  assert.equal(events.match(/event: complete/g).length, 2);
+});
+
+test("revert mueve la versión actual de la sesión", async () => {
+  const versionId = generation.candidates[0].version_id;
+  const versionsUrl = `${env.url}/sessions/${generation.sessionId}/versions`;
+  const res = await fetch(`${versionsUrl}/${versionId}/revert`, {
+    method: "POST"
+  });
+  const body = await res.json();
+
+  assert.equal(res.status, 200, JSON.stringify(body));
+  assert.equal(body.current_version_id, versionId);
+  assert.equal(body.ai_image, generation.ai_image);
+
+  const missing = await fetch(
+    `${versionsUrl}/00000000-0000-4000-8000-000000000000/revert`,
+    { method: "POST" }
+  );
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).code, "VERSION_NOT_FOUND");
+});
+
+test("INPAINT_PROVIDER=mock tiñe solo la máscara, siempre igual", async () => {
+  const provider = createInpaintingProvider(INPAINT_PROVIDER);
+  assert.equal(provider.name, "mock");
+
+  const room = await createRoomJpeg();
+  // Máscara 800×600 con la zona blanca sobre el suelo oscuro (x 300-500,
+  // y 380-580): cualquier tinte del mock (claro) se nota ahí
+  const mask = await sharp({
+    create: { width: 800, height: 600, channels: 3, background: "#000" }
+  })
+    .composite([
+      {
+        input: {
+          create: { width: 200, height: 200, channels: 3, background: "#fff" }
+        },
+        left: 300,
+        top: 380
+      }
+    ])
+    .png()
+    .toBuffer();
+  const input = {
+    image: `data:image/jpeg;base64,${room.toString("base64")}`,
+    mask: mask.toString("base64"),
+    prompt: "jarrón sobre la mesa",
+    seed: 7
+  };
+
+  const first = await runInpainting(provider, input);
+  const second = await runInpainting(provider, input);
+  assert.equal(first.prediction.status, "succeeded");
+  assert.match(first.outputUrl, /^data:image\/webp;base64,/);
+  assert.equal(first.outputUrl, second.outputUrl, "determinista");
+
+  const decode = (url) =>
+    sharp(Buffer.from(url.split(",")[1], "base64"))
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  const output = await decode(first.outputUrl);
+  const base = await decode(input.image);
+  assert.equal(output.info.width, 800);
+  assert.equal(output.info.height, 600);
+
+  const diff = (x, y) => {
+    const i = (y * 800 + x) * 3;
+    return [0, 1, 2].reduce(
+      (sum, c) => sum + Math.abs(output.data[i + c] - base.data[i + c]),
+      0
+    );
+  };
+  assert.ok(diff(400, 480) > 60, "dentro de la máscara cambia");
+  assert.ok(diff(100, 500) < 12, "fuera queda como el cuarto");
+});
+
+test("la app con el proveedor mock genera sin llamar a Replicate", async () => {
+  const mockEnv = await startTestApp({
+    inpaintingProvider: createInpaintingProvider(INPAINT_PROVIDER)
+  });
+  try {
+    const res = await fetch(`${mockEnv.url}/experiencia-premium`, {
+      method: "POST",
+      body: await experienciaForm({ idea: "en la mesa de centro" })
+    });
+    const body = await res.json();
+
+    assert.equal(res.status, 200, JSON.stringify(body));
+    assert.ok(body.ai_image.includes("innotiva/generated/"));
+    assert.equal(mockEnv.replicate.requests.length, 0);
+
+    const result = await fetchImageMeta(body.ai_image);
+    assert.equal(result.width, 800);
+    assert.equal(result.height, 600);
+  } finally {
+    await mockEnv.close();
+  }
+});
+
+test("variants=2 ordena los candidatos por score", async () => {
+  const before = env.replicate.requests.length;
+  const res = await fetch(`${env.url}/experiencia-premium`, {
+    method: "POST",
+    body: await experienciaForm({ variants: "2", nocache: "1" })
+  });
+  const body = await res.json();
+
+  assert.equal(res.status, 200, JSON.stringify(body));
+  const runs = env.replicate.requests.slice(before);
+  assert.equal(runs.length, 2);
+  assert.notEqual(runs[0].input.seed, runs[1].input.seed);
+
+  assert.deepEqual(
+    body.candidates.map((c) => c.rank),
+    [1, 2]
+  );
+  assert.ok(body.candidates[0].score >= body.candidates[1].score);
+  assert.equal(body.ai_image, body.candidates[0].ai_image);
+
+  const { session } = await fetch(
+    `${env.url}/sessions/${body.sessionId}`
+  ).then((r) => r.json());
+  assert.deepEqual(
+    session.versions.map((v) => v.kind),
+    ["original", "generation", "candidate"]
+  );
+  assert.equal(session.current_version_id, body.candidates[0].version_id);
+});
+
+// ---- Variantes de Shopify y escala real ----
+
+const VARIANT_PRODUCT_ID = "8123456790";
+const heightCm = (cm) => [{ key: "height", value: String(cm) }];
+
+test("el variantId elige imagen y medidas; la caja sale a escala", async () => {
+  const scaled = await startTestApp({
+    // 2 px/cm en un cuarto de 800 px (mismo ancho que el modelo)
+    analysis: () => ({
+      ...defaultAnalysis(),
+      scale: { pixelsPerCm: 2, reference: "mesa", confidence: 0.9 }
+    }),
+    products: {
+      [VARIANT_PRODUCT_ID]: {
+        title: "Jarrón Alto",
+        productType: "Jarrón",
+        image: await createProductPng(),
+        variants: [
+          { id: "501", title: "Pequeño", metafields: heightCm(40) },
+          {
+            id: "502",
+            title: "Grande",
+            image: await createProductPng(300),
+            metafields: heightCm(80)
+          }
+        ]
+      }
+    }
+  });
+
+  const generate = async (fields) => {
+    const form = await experienciaForm(fields);
+    form.set("productId", VARIANT_PRODUCT_ID);
+    const res = await fetch(`${scaled.url}/experiencia-premium`, {
+      method: "POST",
+      body: form
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  try {
+    const small = await generate({});
+    assert.equal(small.status, 200, JSON.stringify(small.body));
+    // Sin variantId: la primera disponible, sin sufijo en el nombre
+    assert.equal(small.body.variant.id, "gid://shopify/ProductVariant/501");
+    assert.equal(small.body.product_name, "Jarrón Alto");
+    assert.equal(small.body.products[0].placement.height, 80);
+
+    const large = await generate({ variantId: "502" });
+    assert.equal(large.status, 200, JSON.stringify(large.body));
+    assert.equal(large.body.variant.id, "gid://shopify/ProductVariant/502");
+    assert.equal(large.body.product_name, "Jarrón Alto (Grande)");
+    assert.equal(large.body.products[0].placement.height, 160);
+    // Apoyado en la misma base que la caja de Vision (y + alto = 370)
+    const { y, height } = large.body.products[0].placement;
+    assert.equal(y + height, 370);
+
+    // La sesión guarda la variante y sus medidas (para reposicionar)
+    const { session } = await fetch(
+      `${scaled.url}/sessions/${large.body.sessionId}`
+    ).then((r) => r.json());
+    assert.equal(session.product.variant_id, large.body.variant.id);
+    assert.deepEqual(session.product.dimensions, { height_cm: 80 });
+
+    const foreign = await generate({ variantId: "999" });
+    assert.equal(foreign.status, 400);
+    assert.equal(foreign.body.code, "INVALID_VARIANT");
+  } finally {
+    await scaled.close();
+  }
+});
@@ -0,0 +1,65 @@
+// test/health.test.js
+// /health público (solo ok / no ok), detalle en /admin/health y /metrics.
+
+const os = require("os");
+const path = require("path");
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.SESSION_STORE = "memory";
+process.env.JOBS_DIR = path.join(os.tmpdir(), `innotiva-jobs-${process.pid}`);
+process.env.ADMIN_API_TOKEN = "admin-token";
+process.env.METRICS_TOKEN = "metrics-token";
+delete process.env.OPENAI_API_KEY;
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { registerHealthRoutes } = require("../lib/routes/health");
+const { listen } = require("./support/fakes");
+
+let server;
+
+before(async () => {
+  const app = express();
+  registerHealthRoutes(app);
+  server = await listen(app);
+});
+
+after(() => server.close());
+
+test("/health no expone qué falta configurar", async () => {
+  const res = await fetch(`${server.url}/health`);
+  const body = await res.json();
+
+  assert.equal(res.status, 503);
+  assert.deepEqual(Object.keys(body).sort(), ["ok", "time"]);
+  assert.equal(body.ok, false);
+});
+
+test("/admin/health da el detalle solo con el token de admin", async () => {
+  assert.equal((await fetch(`${server.url}/admin/health`)).status, 401);
+
+  const res = await fetch(`${server.url}/admin/health`, {
+    headers: { Authorization: "Bearer admin-token" }
+  });
+  const body = await res.json();
+  assert.equal(res.status, 503);
+  assert.ok(body.missing_env.includes("OPENAI_API_KEY"));
+  assert.ok(Array.isArray(body.warnings));
+  assert.deepEqual(body.unwritable_dirs, []);
+});
+
+test("/metrics exige METRICS_TOKEN (401 con uno multibyte)", async () => {
+  const status = (headers) =>
+    fetch(`${server.url}/metrics`, { headers }).then((r) => r.status);
+
+  assert.equal(await status({}), 401);
+  assert.equal(await status({ Authorization: "Bearer ñetrics-token" }), 401);
+  assert.equal(await status({ Authorization: "Bearer ñññññññññññññ" }), 401);
+
+  const res = await fetch(`${server.url}/metrics`, {
+    headers: { Authorization: "Bearer metrics-token" }
+  });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/plain/);
+});
@@ -0,0 +1,37 @@
+// test/helpers.test.js
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { safeParseJSON, buildEmotionalCopy } = require("..");
+
+test("safeParseJSON acepta JSON envuelto en un bloque de código", () => {
+  assert.deepEqual(safeParseJSON('```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(safeParseJSON(" [1, 2] "), [1, 2]);
+});
+
+test("safeParseJSON devuelve null si no hay JSON válido", () => {
+  assert.equal(safeParseJSON(""), null);
+  assert.equal(safeParseJSON(null), null);
+  assert.equal(safeParseJSON("{ roto"), null);
+});
+
+test("buildEmotionalCopy incluye estilo, producto e idea", () => {
+  const copy = buildEmotionalCopy({
+    roomStyle: "nórdico cálido",
+    productName: "Jarrón Terracota",
+    idea: "  junto a la ventana "
+  });
+
+  assert.match(copy, /pensando en nórdico cálido\./);
+  assert.match(copy, /Integramos Jarrón Terracota/);
+  assert.match(copy, /tu idea: “junto a la ventana”/);
+});
+
+test("buildEmotionalCopy sin datos usa el texto por defecto", () => {
+  const copy = buildEmotionalCopy({});
+
+  assert.match(copy, /^Diseñamos esta propuesta pensando en tu espacio\./);
+  assert.doesNotMatch(copy, /Integramos|tu idea/);
+});
@@ -0,0 +1,144 @@
+// test/inpainting.test.js
+// Proveedor de Replicate contra el fake: reintentos del sondeo, creación sin
+// reintentos ante 5xx, timeout y abort con cancelación, y cómo llegan los
+// INPAINT_* al cliente.
+
+// Backoff corto y espera total baja para la ruta
+process.env.INPAINT_MAX_POLL_INTERVAL_MS = "20";
+process.env.INPAINT_MAX_WAIT_MS = "300";
+
+const { startTestApp, experienciaForm } = require("./support/app");
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createReplicateProvider,
+  runInpainting
+} = require("../lib/inpainting");
+const { InpaintingError, errorCodeFor } = require("../lib/errors");
+const { createRoomJpeg } = require("./support/fakes");
+
+let env;
+let provider;
+let input;
+
+before(async () => {
+  env = await startTestApp();
+  provider = createReplicateProvider({
+    apiToken: "replicate-token",
+    modelSlug: "black-forest-labs/flux-fill-dev",
+    baseUrl: env.replicate.url
+  });
+
+  const room = await createRoomJpeg();
+  input = {
+    image: `data:image/jpeg;base64,${room.toString("base64")}`,
+    mask: Buffer.from("mascara").toString("base64"),
+    prompt: "jarrón sobre la mesa"
+  };
+});
+
+after(() => env.close());
+
+beforeEach(() => {
+  const { behavior, attempts, cancels } = env.replicate;
+  Object.assign(behavior, {
+    createStatuses: [],
+    pollStatuses: [],
+    neverFinish: false
+  });
+  attempts.create = 0;
+  attempts.poll = 0;
+  cancels.length = 0;
+});
+
+test("un 5xx al consultar se reintenta y la predicción termina", async () => {
+  env.replicate.behavior.pollStatuses.push(503, 502);
+
+  const { prediction, outputUrl } = await runInpainting(provider, input, {
+    pollIntervalMs: 5
+  });
+
+  assert.equal(prediction.status, "succeeded");
+  assert.match(outputUrl, /\/outputs\/p\d+\.webp$/);
+  assert.equal(env.replicate.attempts.poll, 3, "dos fallos + el bueno");
+  assert.equal(env.replicate.attempts.create, 1);
+  assert.deepEqual(env.replicate.cancels, []);
+});
+
+test("un 5xx al crear no se reintenta: otra ejecución se cobraría", async () => {
+  env.replicate.behavior.createStatuses.push(503);
+
+  await assert.rejects(
+    runInpainting(provider, input),
+    (err) =>
+      err instanceof InpaintingError && err.code === "INPAINT_START_FAILED"
+  );
+  assert.equal(env.replicate.attempts.create, 1);
+  assert.equal(env.replicate.attempts.poll, 0);
+});
+
+test("un 429 al crear sí se reintenta", async () => {
+  env.replicate.behavior.createStatuses.push(429);
+
+  const { prediction } = await runInpainting(provider, input, {
+    pollIntervalMs: 5
+  });
+
+  assert.equal(prediction.status, "succeeded");
+  assert.equal(env.replicate.attempts.create, 2);
+});
+
+test("si no termina a tiempo: INPAINT_TIMEOUT y se cancela", async () => {
+  env.replicate.behavior.neverFinish = true;
+
+  await assert.rejects(
+    runInpainting(provider, input, { pollIntervalMs: 5, maxWaitMs: 80 }),
+    (err) => err.code === "INPAINT_TIMEOUT" && /p\d+/.test(err.predictionId)
+  );
+  assert.equal(env.replicate.cancels.length, 1);
+  assert.ok(env.replicate.attempts.poll > 1, "sondeó antes de rendirse");
+});
+
+test("si el cliente aborta: INPAINT_ABORTED y se cancela", async () => {
+  env.replicate.behavior.neverFinish = true;
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 60);
+
+  await assert.rejects(
+    runInpainting(provider, input, {
+      pollIntervalMs: 5,
+      maxWaitMs: 5000,
+      signal: controller.signal
+    }),
+    (err) => err.code === "INPAINT_ABORTED"
+  );
+  assert.equal(env.replicate.cancels.length, 1);
+});
+
+test("los INPAINT_* se traducen al código público", () => {
+  const cases = {
+    INPAINT_START_FAILED: "UPSTREAM_UNAVAILABLE",
+    INPAINT_TIMEOUT: "UPSTREAM_TIMEOUT",
+    INPAINT_CANCELED: "GENERATION_FAILED",
+    INPAINT_FAILED: "GENERATION_FAILED",
+    INPAINT_ABORTED: "REQUEST_ABORTED"
+  };
+  for (const [code, publicCode] of Object.entries(cases)) {
+    assert.equal(errorCodeFor(new InpaintingError(code, "x")), publicCode);
+  }
+});
+
+test("la ruta responde 504 UPSTREAM_TIMEOUT y cancela FLUX", async () => {
+  env.replicate.behavior.neverFinish = true;
+
+  const res = await fetch(`${env.url}/experiencia-premium`, {
+    method: "POST",
+    body: await experienciaForm()
+  });
+  const body = await res.json();
+
+  assert.equal(res.status, 504, JSON.stringify(body));
+  assert.equal(body.code, "UPSTREAM_TIMEOUT");
+  assert.equal(env.replicate.cancels.length, 1);
+});
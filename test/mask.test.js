@@ -0,0 +1,240 @@
+// test/mask.test.js
+// Máscaras contra imágenes de referencia (golden) en test/fixtures/golden.
+// UPDATE_GOLDEN=1 npm test las regenera (revisar el diff de los PNG).
+
+const fs = require("fs");
+const path = require("path");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { determineMaskPosition, createMaskFromAnalysis } = require("..");
+const { createCombinedMask } = require("../lib/mask");
+const {
+  placeProductLayer,
+  clipLayerToCanvas,
+  clipLayersToCanvas,
+  buildProductShadow
+} = require("../lib/compose");
+const { PLACEMENT_STRATEGIES } = require("../lib/strategies");
+
+const GOLDEN_DIR = path.join(__dirname, "fixtures", "golden");
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === "1";
+
+// Tolerancia: libvips puede variar algún nivel en bordes suavizados
+const MAX_MEAN_DIFF = 0.5;
+const MAX_DIFF_PIXELS_RATIO = 0.002;
+
+async function grayPixels(buffer) {
+  return sharp(buffer)
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+async function assertMatchesGolden(name, maskBase64) {
+  const file = path.join(GOLDEN_DIR, `${name}.png`);
+  const actual = Buffer.from(maskBase64, "base64");
+
+  if (UPDATE_GOLDEN || !fs.existsSync(file)) {
+    assert.ok(UPDATE_GOLDEN, `Falta ${file}: ejecuta con UPDATE_GOLDEN=1`);
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+
+  const [a, b] = await Promise.all([
+    grayPixels(actual),
+    grayPixels(fs.readFileSync(file))
+  ]);
+  assert.equal(a.info.width, b.info.width, `${name}: ancho distinto`);
+  assert.equal(a.info.height, b.info.height, `${name}: alto distinto`);
+
+  let total = 0;
+  let different = 0;
+  for (let i = 0; i < a.data.length; i++) {
+    const diff = Math.abs(a.data[i] - b.data[i]);
+    total += diff;
+    if (diff > 16) different++;
+  }
+  const mean = total / a.data.length;
+  assert.ok(
+    mean <= MAX_MEAN_DIFF &&
+      different / a.data.length <= MAX_DIFF_PIXELS_RATIO,
+    `${name}: difiere de la referencia (media ${mean.toFixed(3)}, ` +
+      `${different} píxeles distintos)`
+  );
+}
+
+// Recorte del producto (PNG transparente): jarrón con cuello
+function createCutoutPng() {
+  const svg =
+    '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="240">' +
+    '<ellipse cx="100" cy="150" rx="80" ry="88" fill="#b5562f"/>' +
+    '<rect x="75" y="10" width="50" height="70" fill="#b5562f"/>' +
+    "</svg>";
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+function analysisFor(productType, ideaText = "") {
+  const analysis = { imageWidth: 640, imageHeight: 480 };
+  analysis.finalPlacement = determineMaskPosition(
+    analysis,
+    productType,
+    ideaText
+  );
+  return analysis;
+}
+
+test("determineMaskPosition usa la caja de la estrategia y la idea", () => {
+  const analysis = { imageWidth: 640, imageHeight: 480 };
+  const table = determineMaskPosition(analysis, "Jarrón");
+  const left = determineMaskPosition(analysis, "Jarrón", "a la izquierda");
+  const rug = determineMaskPosition(analysis, "Alfombra");
+
+  for (const box of [table, left, rug]) {
+    assert.ok(box.x >= 0 && box.y >= 0);
+    assert.ok(box.x + box.width <= 640 && box.y + box.height <= 480);
+  }
+  assert.equal(left.x, Math.round(640 * 0.2));
+  assert.equal(left.y, table.y);
+  assert.ok(rug.width > table.width, "la alfombra ocupa más que un jarrón");
+});
+
+const CASES = [
+  ["objeto-mesa", "Jarrón", PLACEMENT_STRATEGIES.objeto_mesa, {}],
+  ["cuadro", "Cuadro", PLACEMENT_STRATEGIES.cuadro, {}],
+  ["alfombra", "Alfombra", PLACEMENT_STRATEGIES.alfombra, {}],
+  ["mueble", "Silla", PLACEMENT_STRATEGIES.mueble, {}],
+  [
+    "objeto-mesa-elipse-difuminada",
+    "Jarrón",
+    PLACEMENT_STRATEGIES.objeto_mesa,
+    { shape: "ellipse", feather: 0.08 }
+  ],
+  [
+    "objeto-mesa-rect-sin-sombra",
+    "Jarrón",
+    PLACEMENT_STRATEGIES.objeto_mesa,
+    { shape: "rect", feather: 0, contactShadow: false }
+  ]
+];
+
+for (const [name, productType, strategy, options] of CASES) {
+  test(`máscara ${name} coincide con la referencia`, async () => {
+    const mask = await createMaskFromAnalysis(
+      analysisFor(productType),
+      strategy,
+      options
+    );
+    await assertMatchesGolden(name, mask);
+  });
+}
+
+test("máscara con silueta del producto coincide con la golden", async () => {
+  const mask = await createMaskFromAnalysis(
+    analysisFor("Jarrón"),
+    PLACEMENT_STRATEGIES.objeto_mesa,
+    { silhouette: { buffer: await createCutoutPng(), dilate: 8 } }
+  );
+  await assertMatchesGolden("objeto-mesa-silueta", mask);
+});
+
+test("máscara combinada de un conjunto coincide con la golden", async () => {
+  const analysis = { imageWidth: 640, imageHeight: 480 };
+  const mask = await createCombinedMask(analysis, [
+    {
+      placement: { x: 120, y: 200, width: 140, height: 160 },
+      strategy: PLACEMENT_STRATEGIES.objeto_mesa
+    },
+    {
+      placement: { x: 380, y: 60, width: 180, height: 130 },
+      strategy: PLACEMENT_STRATEGIES.cuadro
+    }
+  ]);
+  await assertMatchesGolden("conjunto", mask);
+});
+
+test("createMaskFromAnalysis rechaza un análisis sin caja", async () => {
+  await assert.rejects(
+    createMaskFromAnalysis({ imageWidth: 640, imageHeight: 480 }),
+    /Datos insuficientes/
+  );
+});
+
+// Cajas que validatePlacementBox acepta: la sombra de contacto (1.1 × el
+// ancho) y la silueta dilatada se salen de la imagen y hay que recortarlas
+// Lámpara de pie: recorte alto que llena la caja en vertical
+function createTallCutoutPng() {
+  return sharp({
+    create: { width: 60, height: 300, channels: 4, background: "#b5562f" }
+  })
+    .png()
+    .toBuffer();
+}
+
+for (const [name, strategy, placement, cutout] of [
+  [
+    "todo el ancho",
+    PLACEMENT_STRATEGIES.mueble,
+    { x: 0, y: 300, width: 800, height: 240 },
+    createCutoutPng
+  ],
+  [
+    "todo el alto",
+    PLACEMENT_STRATEGIES.lampara,
+    { x: 300, y: 0, width: 200, height: 600 },
+    createTallCutoutPng
+  ]
+]) {
+  test(`máscara con una caja de ${name} no se sale de la imagen`, async () => {
+    const mask = await createMaskFromAnalysis(
+      { imageWidth: 800, imageHeight: 600, finalPlacement: placement },
+      strategy,
+      { silhouette: { buffer: await cutout(), dilate: 12 } }
+    );
+
+    const meta = await sharp(Buffer.from(mask, "base64")).metadata();
+    assert.equal(meta.width, 800);
+    assert.equal(meta.height, 600);
+  });
+}
+
+test("clipLayerToCanvas recorta la capa o la descarta", async () => {
+  const input = await sharp({
+    create: { width: 100, height: 50, channels: 4, background: "#000" }
+  })
+    .png()
+    .toBuffer();
+
+  const clipped = await clipLayerToCanvas(
+    { input, left: -20, top: 30 },
+    60,
+    60
+  );
+  const meta = await sharp(clipped.input).metadata();
+  assert.deepEqual([clipped.left, clipped.top], [0, 30]);
+  assert.deepEqual([meta.width, meta.height], [60, 30]);
+
+  const inside = { input, left: 0, top: 0 };
+  assert.equal(await clipLayerToCanvas(inside, 100, 50), inside);
+  const outside = { input, left: 70, top: 0 };
+  assert.equal(await clipLayerToCanvas(outside, 60, 60), null);
+});
+
+test("las sombras de una pieza que llena el cuarto se recortan", async () => {
+  const layer = await placeProductLayer(await createCutoutPng(), {
+    x: 0,
+    y: 0,
+    width: 800,
+    height: 600
+  });
+
+  for (const kind of ["contact", "drop"]) {
+    const shadow = await buildProductShadow(layer, "izquierda", kind);
+    const [clipped] = await clipLayersToCanvas([shadow], 800, 600);
+    const room = sharp({
+      create: { width: 800, height: 600, channels: 3, background: "#fff" }
+    });
+    await assert.doesNotReject(room.composite([clipped]).png().toBuffer());
+  }
+});
@@ -0,0 +1,233 @@
+// test/placement.test.js
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  boxesOverlap,
+  resolveBundlePlacements,
+  resolvePlacement,
+  resolveRoomScale,
+  sizeBoxToScale,
+  parseRequestDimensions,
+  describeProductSize
+} = require("../lib/placement");
+const { PLACEMENT_STRATEGIES } = require("../lib/strategies");
+
+function assertInside(box, width, height) {
+  assert.ok(box.x >= 0 && box.y >= 0, JSON.stringify(box));
+  assert.ok(box.x + box.width <= width, JSON.stringify(box));
+  assert.ok(box.y + box.height <= height, JSON.stringify(box));
+}
+
+function assertNoOverlaps(boxes) {
+  for (let i = 0; i < boxes.length; i++) {
+    for (let j = i + 1; j < boxes.length; j++) {
+      assert.equal(
+        boxesOverlap(boxes[i], boxes[j]),
+        false,
+        `${JSON.stringify(boxes[i])} pisa ${JSON.stringify(boxes[j])}`
+      );
+    }
+  }
+}
+
+for (const [edge, mainPlacement] of [
+  ["derecho", { x: 520, y: 250, width: 110, height: 150 }],
+  ["izquierdo", { x: 5, y: 250, width: 110, height: 150 }]
+]) {
+  test(`las piezas extra no pisan la principal junto al borde ${edge}`, () => {
+    const bundle = resolveBundlePlacements({
+      analysis: { imageWidth: 640, imageHeight: 480, fallback: true },
+      realWidth: 640,
+      realHeight: 480,
+      mainPlacement,
+      extras: [{ productType: "Jarrón" }, { productType: "Lámpara" }]
+    });
+
+    assert.equal(bundle.length, 2);
+    for (const { placement, source } of bundle) {
+      assert.equal(source, "heuristic");
+      assertInside(placement, 640, 480);
+    }
+    assertNoOverlaps([mainPlacement, ...bundle.map((b) => b.placement)]);
+  });
+}
+
+test("una caja de Vision que pisa otra pieza cae a la heurística", () => {
+  const mainPlacement = { x: 250, y: 250, width: 120, height: 150 };
+  const [extra] = resolveBundlePlacements({
+    analysis: {
+      imageWidth: 640,
+      imageHeight: 480,
+      bundlePlacements: [{ index: 1, x: 260, y: 260, width: 100, height: 120 }]
+    },
+    realWidth: 640,
+    realHeight: 480,
+    mainPlacement,
+    extras: [{ productType: "Jarrón" }]
+  });
+
+  assert.equal(extra.source, "heuristic");
+  assert.equal(extra.reason, "se superpone con otra pieza");
+  assertNoOverlaps([mainPlacement, extra.placement]);
+});
+
+// ---- Escala real ----
+
+test("resolveRoomScale pasa pixelsPerCm a píxeles reales", () => {
+  const analysis = {
+    imageWidth: 800,
+    scale: { pixelsPerCm: "2", reference: "sofá", confidence: 0.8 }
+  };
+
+  assert.deepEqual(resolveRoomScale(analysis, 1600), {
+    pixelsPerCm: 4,
+    reference: "sofá",
+    confidence: 0.8
+  });
+  const doubtful = { pixelsPerCm: 2, confidence: 0.1 };
+  assert.equal(
+    resolveRoomScale({ ...analysis, scale: doubtful }, 800),
+    null,
+    "confianza baja"
+  );
+  assert.equal(resolveRoomScale({ ...analysis, fallback: true }, 800), null);
+  assert.equal(resolveRoomScale({ imageWidth: 800, scale: null }, 800), null);
+});
+
+test("sizeBoxToScale: tamaño por medidas, anclado a la base", () => {
+  const box = { x: 300, y: 200, width: 100, height: 200 };
+  const options = {
+    scale: { pixelsPerCm: 2 },
+    anchor: "bottom",
+    realWidth: 800,
+    realHeight: 600
+  };
+
+  // 30×60 cm a 2 px/cm: 60×120, misma base (y + alto = 400) y mismo centro
+  const both = sizeBoxToScale(box, {
+    ...options,
+    dimensions: { width_cm: 30, height_cm: 60 }
+  });
+  assert.deepEqual(both, {
+    box: { x: 320, y: 280, width: 60, height: 120 },
+    applied: true
+  });
+
+  // Solo el alto: el ancho sale de la proporción de la caja
+  const heightOnly = sizeBoxToScale(box, {
+    ...options,
+    dimensions: { height_cm: 50 }
+  });
+  assert.deepEqual(heightOnly.box, {
+    x: 325,
+    y: 300,
+    width: 50,
+    height: 100
+  });
+
+  // Centrada (cuadros)
+  const centered = sizeBoxToScale(box, {
+    ...options,
+    anchor: "center",
+    dimensions: { width_cm: 30, height_cm: 60 }
+  });
+  assert.equal(centered.box.y, 240);
+
+  // Sin escala, sin medidas o sin ancla (suelo): la caja no cambia
+  for (const override of [
+    { scale: null },
+    { dimensions: null },
+    { anchor: null }
+  ]) {
+    const result = sizeBoxToScale(box, {
+      ...options,
+      dimensions: { height_cm: 50 },
+      ...override
+    });
+    assert.deepEqual(result, { box, applied: false });
+  }
+});
+
+test("una medida que no cabe en el cuarto deja la caja de Vision", () => {
+  const box = { x: 300, y: 200, width: 100, height: 200 };
+  const result = sizeBoxToScale(box, {
+    scale: { pixelsPerCm: 2 },
+    dimensions: { height_cm: 400 },
+    anchor: "bottom",
+    realWidth: 800,
+    realHeight: 600
+  });
+
+  assert.equal(result.applied, false);
+  assert.equal(result.box, box);
+  assert.match(result.reason, /^escala /);
+});
+
+test("resolvePlacement aplica la escala a la caja de Vision", () => {
+  const analysis = {
+    imageWidth: 400,
+    imageHeight: 300,
+    finalPlacement: { x: 165, y: 100, width: 70, height: 85 }
+  };
+  const strategy = PLACEMENT_STRATEGIES.objeto_mesa;
+
+  const result = resolvePlacement({
+    analysis,
+    realWidth: 800,
+    realHeight: 600,
+    productType: "Jarrón",
+    strategy,
+    scale: { pixelsPerCm: 2 },
+    productDimensions: { height_cm: 40 }
+  });
+
+  assert.equal(result.source, "vision");
+  assert.equal(result.scaled, true);
+  assert.equal(result.placement.height, 80);
+  // Caja de Vision en píxeles reales: 330,200 140×170 -> base en 370
+  assert.equal(result.placement.y + result.placement.height, 370);
+
+  const unscaled = resolvePlacement({
+    analysis,
+    realWidth: 800,
+    realHeight: 600,
+    productType: "Jarrón",
+    strategy
+  });
+  assert.equal(unscaled.scaled, false);
+  assert.deepEqual(unscaled.placement, {
+    x: 330,
+    y: 200,
+    width: 140,
+    height: 170
+  });
+});
+
+test("medidas del request: JSON, objeto o campos sueltos", () => {
+  assert.deepEqual(
+    parseRequestDimensions({ productDimensions: '{"height_cm": "45"}' }),
+    { height_cm: 45 }
+  );
+  assert.deepEqual(
+    parseRequestDimensions({ productDimensions: { width_cm: 20 } }),
+    { width_cm: 20 }
+  );
+  assert.deepEqual(
+    parseRequestDimensions({ productWidthCm: "30", productDepthCm: "-2" }),
+    { width_cm: 30 }
+  );
+  assert.equal(parseRequestDimensions({}), null);
+
+  assert.equal(
+    describeProductSize({ height_cm: 44.6 }),
+    "aprox. 45 cm de alto"
+  );
+  assert.equal(
+    describeProductSize({ width_cm: 30 }),
+    "aprox. 30 cm de ancho"
+  );
+  assert.equal(describeProductSize(null), null);
+});
@@ -0,0 +1,196 @@
+// test/protection.test.js
+// Origen permitido, límites por IP y visitante, cuota diaria y tokens.
+
+process.env.ALLOWED_ORIGINS = "https://tienda.example.com";
+process.env.RATE_LIMIT_PER_IP = "40";
+process.env.RATE_LIMIT_PER_VISITOR = "1000";
+process.env.DAILY_GENERATION_QUOTA = "2";
+process.env.ADMIN_API_TOKEN = "admin-token";
+delete process.env.THEME_TOKEN_SECRET;
+
+const { startTestApp, experienciaForm } = require("./support/app");
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const {
+  safeEqual,
+  requireAdmin,
+  verifyThemeTokenValue,
+  createProtection
+} = require("../lib/protection");
+const { listen } = require("./support/fakes");
+
+let env;
+
+before(async () => {
+  env = await startTestApp();
+});
+
+after(() => env.close());
+
+function post(fields, headers = {}) {
+  return experienciaForm(fields).then((body) =>
+    fetch(`${env.url}/experiencia-premium`, {
+      method: "POST",
+      headers,
+      body
+    })
+  );
+}
+
+test("safeEqual no lanza con caracteres multibyte", () => {
+  assert.equal(safeEqual("admin-token", "admin-token"), true);
+  assert.equal(safeEqual("ñññññññññññ", "admin-token"), false);
+  assert.equal(safeEqual("", "admin-token"), false);
+  assert.equal(verifyThemeTokenValue("e30.ññññ"), null);
+});
+
+test("requireAdmin responde 401 (no 500) a un token multibyte", async () => {
+  const app = express();
+  app.get("/admin/ping", requireAdmin, (req, res) => res.json({ ok: true }));
+  const server = await listen(app);
+  try {
+    const status = (token) =>
+      fetch(`${server.url}/admin/ping`, {
+        headers: { Authorization: `Bearer ${token}` }
+      }).then((r) => r.status);
+
+    assert.equal(await status("admin-token"), 200);
+    assert.equal(await status("ádmin-token"), 401);
+    assert.equal(await status("ñññññññññññ"), 401);
+  } finally {
+    await server.close();
+  }
+});
+
+test("un origen no permitido recibe 403 también en las sesiones", async () => {
+  const headers = { Origin: "https://otra.example.com" };
+  const session = "00000000-0000-4000-8000-000000000000";
+
+  for (const [method, path] of [
+    ["GET", `/sessions/${session}`],
+    ["GET", `/sessions/${session}/versions`],
+    ["POST", `/sessions/${session}/versions/${session}/revert`],
+    ["POST", `/sessions/${session}/cart`],
+    ["GET", `/experiencia-premium/jobs/${session}`]
+  ]) {
+    const res = await fetch(`${env.url}${path}`, { method, headers });
+    assert.equal(res.status, 403, `${method} ${path}`);
+    assert.equal((await res.json()).code, "ORIGIN_NOT_ALLOWED");
+  }
+
+  const res = await post(
+    { variants: "99" },
+    { Origin: "https://tienda.example.com" }
+  );
+  assert.equal(res.status, 400, "el origen permitido pasa a validar");
+});
+
+test("limitByIp corta la ráfaga con 429 y Retry-After", async () => {
+  const { limitByIp } = createProtection();
+  const app = express();
+  app.get("/x", limitByIp, (req, res) => res.json({ ok: true }));
+  const server = await listen(app);
+  try {
+    const statuses = [];
+    for (let i = 0; i < 41; i++) {
+      statuses.push((await fetch(`${server.url}/x`)).status);
+    }
+    assert.equal(statuses.filter((s) => s === 200).length, 40);
+
+    const limited = await fetch(`${server.url}/x`);
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get("retry-after")) >= 1);
+    assert.equal((await limited.json()).code, "RATE_LIMITED");
+  } finally {
+    await server.close();
+  }
+});
+
+test("la cuota diaria va por IP sin token verificado", async () => {
+  // Peticiones inválidas: 400 y no gastan cuota
+  for (let i = 0; i < 3; i++) {
+    const res = await post({ variants: "99" });
+    assert.equal(res.status, 400);
+  }
+
+  // Cada petición inventa un visitorId nuevo: no sirve para saltarse la
+  // cuota (DAILY_GENERATION_QUOTA = 2)
+  const first = await post({ idea: "uno", visitorId: "v1" });
+  assert.equal(first.status, 200);
+
+  // Un acierto de caché no cuenta
+  const cached = await post({ idea: "uno", visitorId: "v2" });
+  assert.equal(cached.status, 200);
+  assert.equal((await cached.json()).cached, true);
+
+  const second = await post({ idea: "dos", visitorId: "v3" });
+  assert.equal(second.status, 200);
+
+  const third = await post({ idea: "tres", visitorId: "v4" });
+  const body = await third.json();
+  assert.equal(third.status, 429);
+  assert.equal(body.code, "DAILY_QUOTA_EXCEEDED");
+  assert.ok(Number(third.headers.get("retry-after")) >= 1);
+  assert.equal(env.replicate.requests.length, 2);
+});
+
+test("las reposiciones gastan la misma cuota diaria", async () => {
+  // App nueva: contadores a cero
+  const own = await startTestApp();
+  try {
+    const generation = await fetch(`${own.url}/experiencia-premium`, {
+      method: "POST",
+      body: await experienciaForm({ idea: "reposición" })
+    }).then((r) => r.json());
+    assert.ok(generation.sessionId);
+
+    const reposition = () =>
+      fetch(`${own.url}/experiencia-premium-reposicion`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          sessionId: generation.sessionId,
+          x: 200,
+          y: 300
+        })
+      });
+
+    assert.equal((await reposition()).status, 200);
+
+    const limited = await reposition();
+    assert.equal(limited.status, 429);
+    assert.equal((await limited.json()).code, "DAILY_QUOTA_EXCEEDED");
+    assert.ok(Number(limited.headers.get("retry-after")) >= 1);
+    assert.equal(own.replicate.requests.length, 2, "generación + reposición");
+  } finally {
+    await own.close();
+  }
+});
+
+test("cada variante cuenta como una generación", async () => {
+  const own = await startTestApp();
+  try {
+    const generate = async (fields) =>
+      fetch(`${own.url}/experiencia-premium`, {
+        method: "POST",
+        body: await experienciaForm(fields)
+      });
+
+    // DAILY_GENERATION_QUOTA = 2: tres variantes no caben y no gastan nada
+    const tooMany = await generate({ idea: "variantes", variants: "3" });
+    assert.equal(tooMany.status, 429);
+    assert.equal((await tooMany.json()).code, "DAILY_QUOTA_EXCEEDED");
+    assert.equal(own.replicate.requests.length, 0);
+
+    const two = await generate({ idea: "variantes", variants: "2" });
+    assert.equal(two.status, 200);
+    assert.equal(own.replicate.requests.length, 2);
+
+    const more = await generate({ idea: "otra" });
+    assert.equal(more.status, 429);
+  } finally {
+    await own.close();
+  }
+});
@@ -0,0 +1,192 @@
+// test/sessions.test.js
+// Modo async (jobs) desde la ruta, progreso por SSE en vivo y repetido a
+// quien se conecta tarde, y carrito de Shopify desde la sesión.
+
+const crypto = require("crypto");
+const {
+  startTestApp,
+  experienciaForm,
+  PRODUCT_ID
+} = require("./support/app");
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+let env;
+
+before(async () => {
+  env = await startTestApp();
+});
+
+after(() => env.close());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitForJob(statusUrl) {
+  for (let i = 0; i < 300; i++) {
+    const job = await fetch(`${env.url}${statusUrl}`).then((r) => r.json());
+    if (job.status === "done" || job.status === "failed") return job;
+    await sleep(50);
+  }
+  throw new Error(`El job ${statusUrl} no terminó`);
+}
+
+// Eventos SSE como [{ event, data }]
+function parseSse(text) {
+  return text
+    .split("\n\n")
+    .filter((block) => block.startsWith("event: "))
+    .map((block) => {
+      const [eventLine, dataLine] = block.split("\n");
+      return {
+        event: eventLine.slice("event: ".length),
+        data: JSON.parse(dataLine.slice("data: ".length))
+      };
+    });
+}
+
+let generation;
+
+test("mode=async responde 202 y el job termina con el resultado", async () => {
+  const progressId = crypto.randomUUID();
+
+  // El navegador abre el SSE antes del POST con su propio id
+  const live = await fetch(
+    `${env.url}/experiencia-premium/${progressId}/events`
+  );
+  assert.match(live.headers.get("content-type"), /^text\/event-stream/);
+
+  const res = await fetch(`${env.url}/experiencia-premium`, {
+    method: "POST",
+    body: await experienciaForm({ mode: "async", sessionId: progressId })
+  });
+  const queued = await res.json();
+
+  assert.equal(res.status, 202, JSON.stringify(queued));
+  assert.equal(queued.status, "queued");
+  assert.notEqual(queued.sessionId, progressId);
+  assert.equal(
+    queued.events_url,
+    `/experiencia-premium/${progressId}/events`
+  );
+
+  const job = await waitForJob(queued.status_url);
+  assert.equal(job.status, "done", JSON.stringify(job));
+  assert.equal(job.sessionId, queued.sessionId);
+  assert.equal(job.result.sessionId, queued.sessionId);
+  assert.ok(job.result.ai_image);
+  generation = job.result;
+
+  // El stream en vivo se cierra solo al llegar el complete
+  const events = parseSse(await live.text());
+  assert.ok(events.length > 1);
+  assert.ok(events.slice(0, -1).every((e) => e.event === "step"));
+  assert.equal(events.at(-1).event, "complete");
+  assert.equal(events.at(-1).data.sessionId, progressId);
+});
+
+test("el SSE repite el historial a quien se conecta tarde", async () => {
+  const progressId = crypto.randomUUID();
+  const res = await fetch(`${env.url}/experiencia-premium`, {
+    method: "POST",
+    body: await experienciaForm({
+      sessionId: progressId,
+      idea: "en la consola"
+    })
+  });
+  assert.equal(res.status, 200);
+
+  const events = parseSse(
+    await fetch(`${env.url}/experiencia-premium/${progressId}/events`).then(
+      (r) => r.text()
+    )
+  );
+  const steps = events.map((e) => e.data.step);
+  assert.equal(steps.at(-1), "complete");
+  assert.equal(new Set(steps).size, steps.length, "sin duplicados");
+
+  const invalid = await fetch(`${env.url}/experiencia-premium/abc/events`);
+  assert.equal(invalid.status, 400);
+});
+
+test("un job inexistente: 404 JOB_NOT_FOUND", async () => {
+  const res = await fetch(`${env.url}/experiencia-premium/jobs/no-existe`);
+
+  assert.equal(res.status, 404);
+  assert.equal((await res.json()).code, "JOB_NOT_FOUND");
+});
+
+test("el carrito de la sesión lleva la versión actual", async () => {
+  const res = await fetch(`${env.url}/sessions/${generation.sessionId}/cart`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ quantity: 2 })
+  });
+  const body = await res.json();
+
+  assert.equal(res.status, 200, JSON.stringify(body));
+  assert.equal(body.cart_id, "gid://shopify/Cart/c1");
+  assert.equal(body.checkoutUrl, `${env.shopify.url}/checkouts/c1`);
+  assert.equal(body.total_quantity, 2);
+  assert.equal(body.ai_image, generation.ai_image);
+
+  const cartCreate = env.shopify.requests.find((r) =>
+    r.query.includes("cartCreate")
+  );
+  const { lines, attributes } = cartCreate.variables.input;
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].quantity, 2);
+  assert.match(lines[0].merchandiseId, /^gid:\/\/shopify\/ProductVariant\//);
+  assert.deepEqual(
+    attributes.find((a) => a.key === "innotiva_session_id"),
+    { key: "innotiva_session_id", value: generation.sessionId }
+  );
+
+  const { session } = await fetch(
+    `${env.url}/sessions/${generation.sessionId}`
+  ).then((r) => r.json());
+  assert.equal(session.carts.length, 1);
+  assert.equal(session.carts[0].id, "gid://shopify/Cart/c1");
+  assert.equal(session.product.id, PRODUCT_ID);
+});
+
+test("carrito de una sesión inexistente: 404 SESSION_NOT_FOUND", async () => {
+  const res = await fetch(
+    `${env.url}/sessions/00000000-0000-4000-8000-000000000000/cart`,
+    { method: "POST" }
+  );
+
+  assert.equal(res.status, 404);
+  assert.equal((await res.json()).code, "SESSION_NOT_FOUND");
+});
+
+test("la URL del producto sale de Shopify, como en el bundle", async () => {
+  const shopifyUrl =
+    `https://${env.shopify.storeDomain}/products/producto-${PRODUCT_ID}`;
+
+  assert.equal(generation.product_url, shopifyUrl);
+  assert.equal(generation.products[0].product_url, shopifyUrl);
+
+  const { session } = await fetch(
+    `${env.url}/sessions/${generation.sessionId}`
+  ).then((r) => r.json());
+  assert.equal(session.product.url, shopifyUrl);
+});
+
+test("la cantidad del carrito tiene un máximo", async () => {
+  const before = env.shopify.requests.length;
+  for (const quantity of [11, 1000000, 0, 1.5, "muchas"]) {
+    const res = await fetch(
+      `${env.url}/sessions/${generation.sessionId}/cart`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ quantity })
+      }
+    );
+    const body = await res.json();
+    assert.equal(res.status, 400, String(quantity));
+    assert.equal(body.fields[0].field, "quantity");
+  }
+  assert.equal(env.shopify.requests.length, before, "no llega a Shopify");
+});
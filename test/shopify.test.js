@@ -0,0 +1,191 @@
+// test/shopify.test.js
+// Producto de Shopify con variantes: mapeo, variante elegida, imagen y
+// medidas efectivas, y el cliente contra el fake de la Storefront API.
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createShopifyClient,
+  mapShopifyProduct,
+  selectShopifyVariant,
+  productImageForVariant,
+  productDimensionsForVariant,
+  variantSizeRatio
+} = require("../lib/shopify");
+const { createShopifyFake, createProductPng } = require("./support/fakes");
+
+// Nodo de la Storefront API: medidas del producto en JSON "dimension" y una
+// variante con su propia imagen y alto en pulgadas
+const PRODUCT_NODE = {
+  id: "gid://shopify/Product/42",
+  title: "Lámpara Arco",
+  handle: "lampara-arco",
+  onlineStoreUrl: null,
+  productType: "Lámpara",
+  featuredImage: { url: "https://cdn.shopify.com/arco.png" },
+  metafields: [
+    { key: "width", value: '{"value": 0.4, "unit": "m"}' },
+    { key: "height", value: "150" },
+    null
+  ],
+  variants: {
+    nodes: [
+      {
+        id: "gid://shopify/ProductVariant/1",
+        title: "Negro",
+        availableForSale: false,
+        image: null,
+        price: { amount: "120.00", currencyCode: "EUR" },
+        metafields: []
+      },
+      {
+        id: "gid://shopify/ProductVariant/2",
+        title: "Latón",
+        availableForSale: true,
+        image: { url: "https://cdn.shopify.com/arco-laton.png" },
+        price: { amount: "140.00", currencyCode: "EUR" },
+        metafields: [{ key: "height", value: '{"value": 40, "unit": "in"}' }]
+      }
+    ]
+  }
+};
+
+test("mapShopifyProduct: URL por handle y medidas en cm", () => {
+  const product = mapShopifyProduct(PRODUCT_NODE, "tienda.myshopify.com");
+
+  assert.equal(
+    product.url,
+    "https://tienda.myshopify.com/products/lampara-arco"
+  );
+  assert.deepEqual(product.dimensions, { width_cm: 40, height_cm: 150 });
+  assert.equal(product.variants.length, 2);
+  assert.equal(product.variants[0].availableForSale, false);
+  assert.equal(
+    product.variants[1].image,
+    "https://cdn.shopify.com/arco-laton.png"
+  );
+  assert.deepEqual(product.variants[1].dimensions, { height_cm: 101.6 });
+  assert.deepEqual(product.variants[1].price, {
+    amount: "140.00",
+    currencyCode: "EUR"
+  });
+});
+
+test("selectShopifyVariant: pedida, primera disponible o error", () => {
+  const product = mapShopifyProduct(PRODUCT_NODE, "tienda.myshopify.com");
+
+  assert.equal(selectShopifyVariant(product).title, "Latón", "disponible");
+  assert.equal(selectShopifyVariant(product, "1").title, "Negro");
+  assert.equal(
+    selectShopifyVariant(product, "gid://shopify/ProductVariant/2").title,
+    "Latón"
+  );
+  assert.throws(
+    () => selectShopifyVariant(product, "999"),
+    (err) => err.code === "INVALID_VARIANT"
+  );
+
+  const soldOut = { ...product, variants: [product.variants[0]] };
+  assert.equal(selectShopifyVariant(soldOut).title, "Negro", "la primera");
+  assert.equal(selectShopifyVariant({ ...product, variants: [] }), null);
+});
+
+test("la imagen y las medidas de la variante pisan las del producto", () => {
+  const product = mapShopifyProduct(PRODUCT_NODE, "tienda.myshopify.com");
+  const [black, brass] = product.variants;
+
+  assert.equal(
+    productImageForVariant(product, brass),
+    "https://cdn.shopify.com/arco-laton.png"
+  );
+  assert.equal(
+    productImageForVariant(product, black),
+    "https://cdn.shopify.com/arco.png"
+  );
+  assert.equal(productImageForVariant(product, null), product.featuredImage);
+
+  assert.deepEqual(productDimensionsForVariant(product, brass), {
+    width_cm: 40,
+    height_cm: 101.6
+  });
+  assert.deepEqual(productDimensionsForVariant(product, black), {
+    width_cm: 40,
+    height_cm: 150
+  });
+  assert.equal(
+    productDimensionsForVariant({ ...product, dimensions: null }, black),
+    null
+  );
+});
+
+test("variantSizeRatio: por ancho o alto, acotado y 1 sin medidas", () => {
+  assert.equal(variantSizeRatio({ width_cm: 40 }, { width_cm: 60 }), 1.5);
+  assert.equal(variantSizeRatio({ height_cm: 50 }, { height_cm: 25 }), 0.5);
+  assert.equal(variantSizeRatio({ height_cm: 10 }, { height_cm: 100 }), 4);
+  assert.equal(variantSizeRatio({ height_cm: 100 }, { height_cm: 10 }), 0.25);
+  assert.equal(variantSizeRatio({ width_cm: 40 }, { height_cm: 60 }), 1);
+  assert.equal(variantSizeRatio(null, { width_cm: 60 }), 1);
+});
+
+// ---- Cliente contra el fake ----
+
+let shopify;
+
+before(async () => {
+  shopify = await createShopifyFake({
+    products: {
+      7: {
+        title: "Jarrón Alto",
+        productType: "Jarrón",
+        image: await createProductPng(),
+        metafields: [{ key: "height", value: "40" }],
+        variants: [
+          { id: "71", title: "Pequeño" },
+          {
+            id: "72",
+            title: "Grande",
+            image: await createProductPng(300),
+            metafields: [{ key: "height", value: "80" }]
+          }
+        ]
+      }
+    }
+  });
+});
+
+after(() => shopify.close());
+
+test("fetchProductFromShopify trae las variantes con sus medidas", async () => {
+  const client = createShopifyClient({
+    storeDomain: shopify.storeDomain,
+    storefrontToken: "storefront-token",
+    endpoint: shopify.endpoint
+  });
+
+  const product = await client.fetchProductFromShopify("7");
+  const large = selectShopifyVariant(product, "72");
+
+  assert.equal(product.variants.length, 2);
+  assert.equal(large.title, "Grande");
+  assert.equal(
+    productImageForVariant(product, large),
+    `${shopify.url}/images/72.png`
+  );
+  assert.deepEqual(productDimensionsForVariant(product, large), {
+    height_cm: 80
+  });
+  assert.equal(
+    variantSizeRatio(
+      productDimensionsForVariant(product, product.variants[0]),
+      productDimensionsForVariant(product, large)
+    ),
+    2
+  );
+
+  await assert.rejects(
+    client.fetchProductFromShopify("8"),
+    (err) => err.code === "PRODUCT_NOT_FOUND"
+  );
+});
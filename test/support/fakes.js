@@ -0,0 +1,355 @@
+// test/support/fakes.js
+// Servidores HTTP locales que imitan a Shopify (Storefront GraphQL),
+// Replicate (predicciones) y Cloudinary (upload + entrega), más un stub
+// del cliente de OpenAI. Cada fake guarda las peticiones recibidas para
+// que los tests puedan inspeccionarlas.
+
+const express = require("express");
+const multer = require("multer");
+const sharp = require("sharp");
+
+function listen(app) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        server,
+        url: `http://127.0.0.1:${port}`,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+    server.on("error", reject);
+  });
+}
+
+// ================== IMÁGENES ==================
+
+// Cuarto: pared clara, mesa oscura en la mitad inferior
+async function createRoomJpeg(width = 800, height = 600) {
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" ` +
+    `width="${width}" height="${height}">` +
+    `<rect width="${width}" height="${height}" fill="#e8e1d5"/>` +
+    `<rect y="${Math.round(height * 0.6)}" width="${width}" ` +
+    `height="${Math.round(height * 0.4)}" fill="#6b4f3a"/>` +
+    "</svg>";
+  return sharp(Buffer.from(svg)).jpeg({ quality: 90 }).toBuffer();
+}
+
+// Producto: jarrón terracota sobre fondo blanco de estudio
+async function createProductPng(size = 400) {
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" ` +
+    `width="${size}" height="${size}">` +
+    `<rect width="${size}" height="${size}" fill="#ffffff"/>` +
+    `<ellipse cx="${size / 2}" cy="${size * 0.6}" rx="${size * 0.25}" ` +
+    `ry="${size * 0.3}" fill="#b5562f"/>` +
+    `<rect x="${size * 0.42}" y="${size * 0.15}" width="${size * 0.16}" ` +
+    `height="${size * 0.2}" fill="#b5562f"/>` +
+    "</svg>";
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+// ================== SHOPIFY ==================
+
+// products: { [numericId]: { title, productType, ..., image: Buffer } }
+// variants (opcional): [{ id, title, image?: Buffer, metafields? }]; sin
+// ellas el producto tiene una sola variante "Default Title"
+async function createShopifyFake({ products }) {
+  const app = express();
+  const requests = [];
+  const images = new Map();
+
+  app.use(express.json());
+
+  app.get("/images/:name", (req, res) => {
+    const image = images.get(req.params.name);
+    if (!image) return res.status(404).end();
+    res.type("png").send(image);
+  });
+
+  app.post("/api/2024-01/graphql.json", (req, res) => {
+    const { query, variables } = req.body;
+    requests.push({
+      token: req.get("x-shopify-storefront-access-token"),
+      query,
+      variables
+    });
+
+    if (query.includes("cartCreate")) {
+      const { lines } = variables.input;
+      const quantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+      return res.json({
+        data: {
+          cartCreate: {
+            cart: {
+              id: "gid://shopify/Cart/c1",
+              checkoutUrl: `${fake.url}/checkouts/c1`,
+              totalQuantity: quantity,
+              cost: {
+                totalAmount: { amount: "59.90", currencyCode: "EUR" }
+              }
+            },
+            userErrors: []
+          }
+        }
+      });
+    }
+
+    const node = (gid) => {
+      const id = String(gid).split("/").pop();
+      return products[id] ? productNode(id, products[id]) : null;
+    };
+    if (variables.ids) {
+      return res.json({ data: { nodes: variables.ids.map(node) } });
+    }
+    return res.json({ data: { product: node(variables.id) } });
+  });
+
+  function productNode(id, product) {
+    images.set(`${id}.png`, product.image);
+    return {
+      id: `gid://shopify/Product/${id}`,
+      title: product.title,
+      handle: product.handle || `producto-${id}`,
+      onlineStoreUrl: null,
+      productType: product.productType,
+      description: product.description || "",
+      featuredImage: { url: `${fake.url}/images/${id}.png` },
+      options: [{ name: "Title", values: ["Default Title"] }],
+      metafields: product.metafields || [],
+      variants: {
+        nodes: (product.variants || [{ id: `${id}1` }]).map((variant) =>
+          variantNode(product, variant)
+        )
+      }
+    };
+  }
+
+  function variantNode(product, variant) {
+    const title = variant.title || "Default Title";
+    if (variant.image) images.set(`${variant.id}.png`, variant.image);
+    return {
+      id: `gid://shopify/ProductVariant/${variant.id}`,
+      title,
+      availableForSale: variant.availableForSale !== false,
+      selectedOptions: [{ name: "Title", value: title }],
+      image: variant.image
+        ? { url: `${fake.url}/images/${variant.id}.png` }
+        : null,
+      price: { amount: product.price || "59.90", currencyCode: "EUR" },
+      compareAtPrice: null,
+      metafields: variant.metafields || []
+    };
+  }
+
+  const fake = { requests, ...(await listen(app)) };
+  fake.storeDomain = new URL(fake.url).host;
+  fake.endpoint = `${fake.url}/api/2024-01/graphql.json`;
+  return fake;
+}
+
+// ================== REPLICATE ==================
+
+// La "salida" de FLUX es la propia imagen base recodificada a WEBP: mismo
+// tamaño que la entrada, como la respuesta real.
+// behavior (se puede cambiar entre tests):
+//   createStatuses: códigos con los que responden los próximos POST de
+//                   creación antes de aceptar uno (p. ej. [503] o [429])
+//   pollStatuses:   ídem para los GET de la predicción
+//   neverFinish:    las predicciones se quedan en "processing"
+// attempts cuenta todas las llamadas; requests, solo las predicciones
+// creadas; cancels, los ids cancelados.
+async function createReplicateFake() {
+  const app = express();
+  const predictions = new Map();
+  const outputs = new Map();
+  const requests = [];
+  const cancels = [];
+  const attempts = { create: 0, poll: 0 };
+  const behavior = { createStatuses: [], pollStatuses: [], neverFinish: false };
+
+  app.use(express.json({ limit: "50mb" }));
+
+  // El proveedor manda el slug codificado (owner%2Fname) en un segmento
+  app.post("/v1/models/:model/predictions", async (req, res) => {
+    attempts.create++;
+    const forced = behavior.createStatuses.shift();
+    if (forced) return res.status(forced).json({ detail: "forzado" });
+
+    const { input } = req.body;
+    const id = `p${predictions.size + 1}`;
+    requests.push({
+      model: req.params.model,
+      token: req.get("authorization"),
+      input
+    });
+
+    const base = await fetch(input.image).then((r) => r.arrayBuffer());
+    outputs.set(id, await sharp(Buffer.from(base)).webp().toBuffer());
+
+    const now = new Date().toISOString();
+    predictions.set(
+      id,
+      behavior.neverFinish
+        ? { id, status: "processing", input, created_at: now, started_at: now }
+        : {
+            id,
+            status: "succeeded",
+            input,
+            output: [`${fake.url}/outputs/${id}.webp`],
+            metrics: { predict_time: 2.5 },
+            created_at: now,
+            started_at: now,
+            completed_at: now
+          }
+    );
+    res.status(201).json({ id, status: "starting", created_at: now });
+  });
+
+  app.get("/v1/predictions/:id", (req, res) => {
+    attempts.poll++;
+    const forced = behavior.pollStatuses.shift();
+    if (forced) return res.status(forced).json({ detail: "forzado" });
+
+    const prediction = predictions.get(req.params.id);
+    if (!prediction) return res.status(404).json({ detail: "Not found" });
+    res.json(prediction);
+  });
+
+  app.post("/v1/predictions/:id/cancel", (req, res) => {
+    const prediction = predictions.get(req.params.id);
+    if (!prediction) return res.status(404).json({ detail: "Not found" });
+    cancels.push(req.params.id);
+    prediction.status = "canceled";
+    res.json(prediction);
+  });
+
+  app.get("/outputs/:id.webp", (req, res) => {
+    const output = outputs.get(req.params.id);
+    if (!output) return res.status(404).end();
+    res.type("webp").send(output);
+  });
+
+  const fake = {
+    requests,
+    predictions,
+    cancels,
+    attempts,
+    behavior,
+    ...(await listen(app))
+  };
+  return fake;
+}
+
+// ================== CLOUDINARY ==================
+
+// El SDK sube multipart/form-data a {upload_prefix}/v1_1/<cloud>/image/upload
+// con el archivo como campo (data URI o URL remota).
+async function createCloudinaryFake() {
+  const app = express();
+  const assets = new Map(); // "<public_id>.<format>" -> { buffer, format }
+  const uploads = [];
+  const form = multer({ limits: { fieldSize: 50 * 1024 * 1024 } });
+
+  app.post("/v1_1/:cloud/image/upload", form.none(), async (req, res) => {
+    const { file, folder, public_id: publicIdParam } = req.body;
+
+    let buffer;
+    if (file.startsWith("data:")) {
+      buffer = Buffer.from(file.slice(file.indexOf(",") + 1), "base64");
+    } else {
+      const remote = await fetch(file);
+      if (!remote.ok) {
+        return res
+          .status(400)
+          .json({ error: { message: `No se pudo leer ${file}` } });
+      }
+      buffer = Buffer.from(await remote.arrayBuffer());
+    }
+
+    const meta = await sharp(buffer).metadata();
+    const format = req.body.format || meta.format;
+    const publicId = [folder, publicIdParam || `asset${uploads.length + 1}`]
+      .filter(Boolean)
+      .join("/");
+    const path = `${req.params.cloud}/image/upload/${publicId}.${format}`;
+
+    assets.set(`${publicId}.${format}`, { buffer, format });
+    uploads.push({ publicId, folder: folder || null, format });
+
+    res.json({
+      public_id: publicId,
+      version: 1,
+      format,
+      width: meta.width,
+      height: meta.height,
+      bytes: buffer.length,
+      url: `${fake.url}/${path}`,
+      secure_url: `${fake.url}/${path}`
+    });
+  });
+
+  app.get("/:cloud/image/upload/*", (req, res) => {
+    const key = req.params[0].replace(/^v\d+\//, "");
+    const asset = assets.get(key);
+    if (!asset) return res.status(404).end();
+    res.type(asset.format).send(asset.buffer);
+  });
+
+  const fake = { uploads, assets, ...(await listen(app)) };
+  return fake;
+}
+
+// Configura el SDK (singleton) contra el fake. El SDK decide http/https
+// al cargarse: CLOUDINARY_URL tiene que fijar un upload_prefix http antes
+// del primer require("cloudinary").
+function configureCloudinarySdk(cloudinary, fake) {
+  cloudinary.config({
+    cloud_name: "demo",
+    api_key: "key",
+    api_secret: "secret",
+    upload_prefix: fake.url,
+    secure_distribution: new URL(fake.url).host
+  });
+  return cloudinary;
+}
+
+// ================== OPENAI ==================
+
+// analysis(params) -> objeto que "responde" Vision (structured output)
+function createOpenAIStub(analysis) {
+  const calls = [];
+  return {
+    calls,
+    responses: {
+      async create(params) {
+        calls.push(params);
+        return {
+          output: [
+            {
+              content: [
+                {
+                  type: "output_text",
+                  text: JSON.stringify(analysis(params))
+                }
+              ]
+            }
+          ],
+          usage: { input_tokens: 1200, output_tokens: 300 }
+        };
+      }
+    }
+  };
+}
+
+module.exports = {
+  listen,
+  createRoomJpeg,
+  createProductPng,
+  createShopifyFake,
+  createReplicateFake,
+  createCloudinaryFake,
+  configureCloudinarySdk,
+  createOpenAIStub
+};
@@ -0,0 +1,126 @@
+// test/usage.test.js
+// Ledger de uso, agregados por tienda y exportación CSV de /admin/usage.
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.ADMIN_API_TOKEN = "admin-token";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const {
+  createMemoryUsageStore,
+  createUsageLedger,
+  newUsageEntry,
+  recordUsage
+} = require("../lib/usage");
+const { registerAdminRoutes, csvValue } = require("../lib/routes/admin");
+const { listen } = require("./support/fakes");
+
+test("las entradas usan la tienda configurada, no la del body", async () => {
+  const store = createMemoryUsageStore();
+  const { withUsage, withRouteUsage } = createUsageLedger(store, {
+    shop: "mi-tienda.myshopify.com"
+  });
+
+  await withUsage({ kind: "generation", shop: "otra.myshopify.com" }, () => {
+    recordUsage((entry) => {
+      entry.openai.input_tokens += 1000000;
+    });
+  });
+  const handler = withRouteUsage("cart", async (req, res) => {
+    res.statusCode = 200;
+  });
+  await handler(
+    { params: {}, body: { shop: "=otra", sessionId: "s1" } },
+    { statusCode: 200 }
+  );
+
+  const entries = await store.list("0000-00-00", "9999-99-99");
+  assert.deepEqual(
+    entries.map((e) => [e.kind, e.shop, e.status]),
+    [
+      ["generation", "mi-tienda.myshopify.com", "ok"],
+      ["cart", "mi-tienda.myshopify.com", "ok"]
+    ]
+  );
+  assert.equal(entries[0].cost_usd, 0.4);
+  assert.equal(entries[1].session_id, "s1");
+});
+
+test("withUsage marca error y propaga la excepción", async () => {
+  const store = createMemoryUsageStore();
+  const { withUsage } = createUsageLedger(store);
+
+  await assert.rejects(
+    withUsage({ kind: "generation" }, async () => {
+      throw new Error("falló");
+    }),
+    /falló/
+  );
+  const [entry] = await store.list("0000-00-00", "9999-99-99");
+  assert.equal(entry.status, "error");
+  assert.ok(entry.finished_at);
+});
+
+test("csvValue neutraliza fórmulas y escapa comillas", () => {
+  assert.equal(csvValue('=HYPERLINK("x")'), `"'=HYPERLINK(""x"")"`);
+  assert.equal(csvValue("+1"), "'+1");
+  assert.equal(csvValue("-1"), "'-1");
+  assert.equal(csvValue("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(csvValue("tienda.myshopify.com"), "tienda.myshopify.com");
+  assert.equal(csvValue(-0.5), "-0.5", "los números se dejan tal cual");
+  assert.equal(csvValue(null), "");
+});
+
+test("GET /admin/usage agrega por día y tienda y exporta CSV", async () => {
+  const store = createMemoryUsageStore();
+  const day = new Date().toISOString().slice(0, 10);
+  const entry = (kind, shop, extra = {}) => ({
+    ...newUsageEntry({ kind, sessionId: "s1", shop }),
+    status: "ok",
+    cost_usd: 0.02,
+    ...extra
+  });
+  await store.append(entry("generation", "a.myshopify.com"));
+  await store.append(
+    entry("generation", "a.myshopify.com", { status: "cached" })
+  );
+  await store.append(entry("cart", "a.myshopify.com", { cost_usd: 0 }));
+  // Entrada antigua con la tienda del body (antes de la corrección)
+  await store.append(entry("generation", "=cmd|' /C calc'!A0"));
+
+  const app = express();
+  registerAdminRoutes(app, {
+    shopify: {},
+    cutouts: {},
+    stores: { usage: store }
+  });
+  const server = await listen(app);
+  try {
+    const unauthorized = await fetch(`${server.url}/admin/usage`);
+    assert.equal(unauthorized.status, 401);
+
+    const headers = { Authorization: "Bearer admin-token" };
+    const json = await fetch(`${server.url}/admin/usage`, { headers }).then(
+      (r) => r.json()
+    );
+    const shopA = json.days.find((d) => d.shop === "a.myshopify.com");
+    assert.equal(shopA.date, day);
+    assert.equal(shopA.requests, 3);
+    assert.equal(shopA.renders, 1);
+    assert.equal(shopA.cached, 1);
+    assert.equal(shopA.carts, 1);
+    assert.equal(shopA.converting_sessions, 1);
+    assert.equal(json.totals.requests, 4);
+
+    const csv = await fetch(`${server.url}/admin/usage?format=csv`, {
+      headers
+    }).then((r) => r.text());
+    const lines = csv.trim().split("\n");
+    assert.match(lines[0], /^date,shop,requests,/);
+    assert.equal(lines.length, 3);
+    assert.ok(lines.some((l) => l.startsWith(`${day},'=cmd|' /C calc'!A0,`)));
+  } finally {
+    await server.close();
+  }
+});
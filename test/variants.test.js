@@ -0,0 +1,141 @@
+// test/variants.test.js
+// Variantes: cuántas se piden, cajas desplazadas, concurrencia y el score
+// que las ordena (cambio fuera de la máscara).
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.MAX_VARIANTS = "4";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const {
+  parseVariantCount,
+  shiftPlacement,
+  mapWithConcurrency,
+  scoreCandidate,
+  rankCandidates
+} = require("../lib/variants");
+
+const dataUrl = (buffer, type) =>
+  `data:${type};base64,${buffer.toString("base64")}`;
+
+// Imagen 100×100 gris, con un cuadro de otro color en la zona dada
+function createImage({ fill = "#808080", square = null } = {}) {
+  const composite = square
+    ? [
+        {
+          input: {
+            create: {
+              width: square.size,
+              height: square.size,
+              channels: 3,
+              background: square.color
+            }
+          },
+          left: square.left,
+          top: square.top
+        }
+      ]
+    : [];
+  return sharp({
+    create: { width: 100, height: 100, channels: 3, background: fill }
+  })
+    .composite(composite)
+    .png()
+    .toBuffer();
+}
+
+test("variants: 1 por defecto y como mucho MAX_VARIANTS", () => {
+  assert.equal(parseVariantCount({}), 1);
+  assert.equal(parseVariantCount({ variants: "abc" }), 1);
+  assert.equal(parseVariantCount({ variants: "0" }), 1);
+  assert.equal(parseVariantCount({ variants: "3" }), 3);
+  assert.equal(parseVariantCount({ variants: 99 }), 4);
+});
+
+test("shiftPlacement desplaza sin salirse de la imagen", () => {
+  const box = { x: 100, y: 50, width: 200, height: 100 };
+
+  assert.deepEqual(shiftPlacement(box, 50, 800), { ...box, x: 150 });
+  assert.equal(shiftPlacement(box, -500, 800).x, 0);
+  assert.equal(shiftPlacement(box, 900, 800).x, 600);
+});
+
+test("mapWithConcurrency respeta el límite y el orden", async () => {
+  let running = 0;
+  let peak = 0;
+
+  const results = await mapWithConcurrency(
+    [30, 10, 20, 5, 15],
+    2,
+    async (ms, i) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      running--;
+      if (i === 3) throw new Error("falló la 3");
+      return ms * 2;
+    }
+  );
+
+  assert.equal(peak, 2);
+  assert.deepEqual(
+    results.map((r) => r.status),
+    ["fulfilled", "fulfilled", "fulfilled", "rejected", "fulfilled"]
+  );
+  assert.equal(results[0].value, 60);
+  assert.equal(results[3].reason.message, "falló la 3");
+});
+
+test("el score solo mira lo que cambió fuera de la máscara", async () => {
+  const base = await createImage();
+  // Máscara: blanco en el cuadro 30-70
+  const mask = await createImage({
+    fill: "#000000",
+    square: { left: 30, top: 30, size: 40, color: "#ffffff" }
+  });
+  const maskBase64 = mask.toString("base64");
+  const score = async (output) =>
+    scoreCandidate({
+      baseUrl: dataUrl(base, "image/png"),
+      outputUrl: dataUrl(output, "image/png"),
+      maskBase64
+    });
+
+  const untouched = await score(base);
+  assert.deepEqual(untouched, { score: 1, changeOutsideMask: 0 });
+
+  const inside = await score(
+    await createImage({
+      square: { left: 35, top: 35, size: 30, color: "#ff0000" }
+    })
+  );
+  assert.equal(inside.score, 1, "el cambio dentro de la máscara no cuenta");
+
+  const outside = await score(
+    await createImage({
+      square: { left: 0, top: 0, size: 25, color: "#ffffff" }
+    })
+  );
+  assert.ok(outside.score < 1);
+  assert.ok(outside.changeOutsideMask > 0);
+});
+
+test("rankCandidates: mejor score primero, sin score al final", () => {
+  const ranked = rankCandidates([
+    { index: 0, score: 0.9 },
+    { index: 1, score: null },
+    { index: 2, score: 0.97 },
+    { index: 3, score: 0.9 }
+  ]);
+
+  assert.deepEqual(
+    ranked.map((c) => [c.index, c.rank]),
+    [
+      [2, 1],
+      [0, 2],
+      [3, 3],
+      [1, 4]
+    ]
+  );
+});
@@ -0,0 +1,147 @@
+// test/vision.test.js
+// Coerción del análisis de Vision, reintento con los errores y fallback.
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  coerceVisionAnalysis,
+  analyzeRoomAndProduct
+} = require("../lib/vision");
+const { PLACEMENT_STRATEGIES } = require("../lib/strategies");
+const { createOpenAIStub } = require("./support/fakes");
+
+const ctx = {
+  realWidth: 800,
+  realHeight: 600,
+  strategy: PLACEMENT_STRATEGIES.objeto_mesa,
+  productType: "Jarrón"
+};
+
+const VISION_INPUT = {
+  roomImageUrl: "https://res.cloudinary.com/demo/cuarto.jpg",
+  productImageUrl: "https://cdn.shopify.com/jarron.png",
+  productType: "Jarrón",
+  imageWidth: 800,
+  imageHeight: 600
+};
+
+test("coerceVisionAnalysis repara tipos y formatos", () => {
+  const { analysis, coerced, defaulted, critical } = coerceVisionAnalysis(
+    {
+      imageWidth: "800px",
+      imageHeight: 600,
+      roomStyle: "nórdico",
+      lightDirection: "Luz desde la LEFT",
+      mainSurfaces: "mesa de centro, consola",
+      finalPlacement: { x: "330", y: 200, width: "140,5", height: 170 },
+      scale: { pixelsPerCm: "3.2", reference: "mesa", confidence: 4 },
+      bundlePlacements: [
+        { index: 1, x: 10, y: 10, width: 50, height: 50 },
+        { index: 0, x: 10, y: 10, width: 50, height: 50 }
+      ],
+      product: {
+        normalizedType: "Objeto mesa",
+        rawTypeHint: "jarrón",
+        colors: ["B5562F", "#abc", "terracota"],
+        materials: ["cerámica"],
+        texture: "mate",
+        finish: "mate"
+      }
+    },
+    ctx
+  );
+
+  assert.equal(critical, false);
+  assert.equal(analysis.imageWidth, 800);
+  assert.equal(analysis.lightDirection, "izquierda");
+  assert.deepEqual(analysis.mainSurfaces, ["mesa de centro", "consola"]);
+  assert.deepEqual(analysis.finalPlacement, {
+    x: 330,
+    y: 200,
+    width: 140.5,
+    height: 170
+  });
+  assert.deepEqual(analysis.placement, analysis.finalPlacement);
+  assert.equal(analysis.scale.confidence, 1);
+  assert.equal(analysis.bundlePlacements.length, 1);
+  assert.equal(analysis.product.normalizedType, "objeto_mesa");
+  assert.deepEqual(analysis.product.colors, ["#b5562f", "#aabbcc"]);
+  assert.deepEqual(defaulted, ["placement"]);
+  assert.ok(coerced.includes("lightDirection"));
+  assert.ok(coerced.includes("product.colors"));
+});
+
+test("sin caja utilizable el análisis es crítico", () => {
+  const { analysis, errors, critical } = coerceVisionAnalysis(
+    { finalPlacement: { x: 1, y: 1, width: 0, height: 10 } },
+    ctx
+  );
+
+  assert.equal(critical, true);
+  assert.ok(errors.some((e) => e.startsWith("finalPlacement: se esperaba")));
+  assert.equal(analysis.imageWidth, 800, "el resto toma su valor por defecto");
+  assert.equal(analysis.product.normalizedType, "objeto_mesa");
+});
+
+test("sin ubicación reintenta una vez con los errores", async () => {
+  let call = 0;
+  const openai = createOpenAIStub(() =>
+    ++call === 1
+      ? { roomStyle: "nórdico" }
+      : {
+          finalPlacement: { x: 300, y: 250, width: 120, height: 150 },
+          lightDirection: "derecha"
+        }
+  );
+
+  const analysis = await analyzeRoomAndProduct(openai, VISION_INPUT);
+
+  assert.equal(openai.calls.length, 2);
+  const retryPrompt = openai.calls[1].input[0].content[0].text;
+  assert.match(retryPrompt, /no cumplía el esquema/);
+  assert.match(retryPrompt, /- finalPlacement: falta/);
+  assert.equal(analysis.fallback, undefined);
+  assert.equal(analysis.validation.attempts, 2);
+  assert.deepEqual(analysis.finalPlacement, {
+    x: 300,
+    y: 250,
+    width: 120,
+    height: 150
+  });
+});
+
+test("si el reintento no sirve, usa la caja de la estrategia", async () => {
+  const openai = createOpenAIStub(() => "no es un análisis");
+
+  const analysis = await analyzeRoomAndProduct(openai, VISION_INPUT);
+
+  assert.equal(openai.calls.length, 2, "un solo reintento");
+  assert.equal(analysis.fallback, true);
+  assert.equal(analysis.imageWidth, 800);
+  // Mesa en el tercio inferior central
+  assert.deepEqual(analysis.finalPlacement, {
+    x: 312,
+    y: 330,
+    width: 176,
+    height: 120
+  });
+  assert.deepEqual(analysis.bundlePlacements, []);
+});
+
+test("una respuesta válida no se reintenta", async () => {
+  const openai = createOpenAIStub(() => ({
+    finalPlacement: { x: 300, y: 250, width: 120, height: 150 }
+  }));
+
+  const analysis = await analyzeRoomAndProduct(openai, VISION_INPUT);
+
+  assert.equal(openai.calls.length, 1);
+  assert.equal(analysis.validation.attempts, 1);
+  assert.equal(
+    openai.calls[0].text.format.type,
+    "json_schema",
+    "pide structured output"
+  );
+});